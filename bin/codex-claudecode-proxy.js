@@ -5,26 +5,71 @@ import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import net from "node:net";
-import { spawnSync } from "node:child_process";
+import http from "node:http";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import readline from "node:readline";
+import { spawn, spawnSync } from "node:child_process";
 
 const DEFAULT_PORT = 8317;
 const DEFAULT_MODEL = "gpt-5.3-codex";
-// Tier selector models: Claude Code tiers select these, and CLIProxyAPI config
-// maps them to different reasoning.effort values. Sonnet/Haiku are rewritten to
-// call DEFAULT_MODEL upstream so the actual model stays fixed.
-const DEFAULT_OPUS_MODEL = "gpt-5.3-codex(xhigh)";
-const DEFAULT_SONNET_MODEL = "gpt-5.3-codex(high)";
-const DEFAULT_HAIKU_MODEL = "gpt-5.3-codex(medium)";
+// Claude Code tiers. Each tier selects a "<model>(<effort>)" selector model, and
+// CLIProxyAPI config rewrites it to call `model` upstream with reasoning.effort
+// and any extra params applied. Overridable via the tool config file and
+// --opus/--sonnet/--haiku.
+const TIER_NAMES = ["opus", "sonnet", "haiku"];
+const DEFAULT_TIERS = {
+  opus: { model: DEFAULT_MODEL, effort: "xhigh", params: { "reasoning.summary": "auto" } },
+  sonnet: { model: DEFAULT_MODEL, effort: "high", params: { "reasoning.summary": "auto" } },
+  haiku: { model: DEFAULT_MODEL, effort: "medium", params: { "reasoning.summary": "auto" } },
+};
+const REASONING_EFFORTS = ["none", "minimal", "low", "medium", "high", "xhigh"];
 // CLIProxyAPI releases frequently add new Codex model definitions. If the binary is
 // too old, the proxy can fail requests with "unknown provider for model ...".
 const MIN_CLI_PROXY_API_VERSION = "6.8.15";
+// CLIProxyAPI auth file written from Codex CLI's ~/.codex/auth.json.
+const CODEX_AUTH_FILE_NAME = "codex-from-codex-cli.json";
+// Stable copy of this CLI invoked by the token sync job (.mjs: no package.json next to it).
+const CLI_COPY_NAME = "codex-claudecode-proxy.mjs";
+// Original values of the Claude settings keys install changed (see recordSettingsChanges).
+const INSTALL_MANIFEST_NAME = "install-manifest.json";
+// Codex CLI's OAuth client. refresh-token exchanges refresh_token at the token endpoint
+// (overridable, e.g. to point at a local stand-in) once the access token gets this close to
+// expiring; the service manager runs it every TOKEN_REFRESH_INTERVAL_SECONDS.
+const CODEX_OAUTH_CLIENT_ID = "app_EMoamEEZ73f0CkXaXp7hrann";
+const CODEX_OAUTH_TOKEN_URL = "https://auth.openai.com/oauth/token";
+const TOKEN_REFRESH_MARGIN_MS = 60 * 60 * 1000;
+const TOKEN_REFRESH_INTERVAL_SECONDS = 15 * 60;
+// Extra Codex accounts (see accountFlow); the default one always follows ~/.codex/auth.json.
+const ACCOUNTS_FILE_NAME = "accounts.json";
+const DEFAULT_ACCOUNT = "default";
+// Tags the payload.override and api-keys items config.yaml merges may replace (see mergeProxyConfigYaml).
+const MANAGED_ITEM_MARKER = "# managed by codex-claudecode-proxy";
+// Key Claude Code must send to the proxy (config.yaml api-keys), and the optional
+// apiKeyHelper script that prints it (see rotate-key).
+const PROXY_API_KEY_FILE_NAME = "api-key";
+const API_KEY_HELPER_NAME = "api-key-helper.sh";
+// Secret for CLIProxyAPI's management API, written when usage statistics are enabled (see usage).
+const MANAGEMENT_KEY_FILE_NAME = "management-key";
+// Token installs made before generated keys used; configs without api-keys accept anything.
+const LEGACY_PROXY_TOKEN = "proxy-local";
+// Top-level Claude settings keys install may set, recorded in the manifest like env keys.
+const MANAGED_SETTINGS_KEYS = ["apiKeyHelper"];
+// Commands that accept positional arguments after the command name.
+const COMMANDS_WITH_ARGS = new Set(["sync-token", "backups", "plan", "account", "binary", "trace", "replay"]);
+// Where install writes the proxy env block (see getClaudeSettingsPath).
+const SETTINGS_SCOPES = ["user", "project", "local"];
+// Output formats for `env`.
+const ENV_SHELLS = ["bash", "zsh", "fish", "dotenv"];
+// Commands that support --dry-run (and `plan <command>`).
+const PLANNABLE_COMMANDS = new Set(["install", "uninstall", "purge"]);
 
 function nowTs() {
   return Date.now().toString();
 }
 
 function log(msg) {
-  console.log(`[codex-claudecode-proxy] ${msg}`);
+  console.log(`[codex-claudecode-proxy]${plan ? "[dry-run]" : ""} ${msg}`);
 }
 
 function warn(msg) {
@@ -33,6 +78,11 @@ function warn(msg) {
 
 function fail(msg, code = 1) {
   console.error(`[codex-claudecode-proxy][FAIL] ${msg}`);
+  if (installTransaction) {
+    const tx = installTransaction;
+    installTransaction = null;
+    rollbackInstall(tx);
+  }
   process.exit(code);
 }
 
@@ -42,13 +92,109 @@ function usage(code = 0) {
 
 Commands:
   install      Install + configure + start (default)
-  start        Start proxy LaunchAgent
-  stop         Stop proxy + sync LaunchAgents
-  status       Show status
-  uninstall    Remove LaunchAgents + restore Claude Code settings (keeps proxy files)
+  start        Start proxy service (LaunchAgent on macOS, systemd --user unit on Linux)
+  stop         Stop proxy + token sync services
+  run          Run proxy + token sync in the foreground (no service manager)
+  sync-token [src] [dst]
+               Convert Codex CLI auth.json into the CLIProxyAPI auth file
+               (defaults: ~/.codex/auth.json, ~/.cli-proxy-api/auths/${CODEX_AUTH_FILE_NAME})
+               --all syncs every account (what the token sync job runs)
+  refresh-token
+               Refresh the Codex access token through OAuth when it expires within the hour
+               and write it to auth.json and the proxy auth file (--all: every account,
+               what the token refresh job runs every 15 minutes; --force: refresh now;
+               --token-url <url>: token endpoint, or CODEX_CLAUDECODE_PROXY_TOKEN_URL,
+               or tokenUrl in the tool config file)
+  account add <name> --from <auth.json> | list | remove <name> | disable <name> | enable <name>
+               Manage extra Codex accounts; CLIProxyAPI load-balances across them
+  binary list | use <version> | prune [--keep N]
+               Manage cached CLIProxyAPI releases; use switches and restarts the proxy
+               (prune keeps the active release plus the newest 3 by default)
+  status       Show status (--json: machine-readable, exits 1 when unhealthy)
+  doctor       Diagnose the install (add --fix to repair what can be repaired safely)
+  uninstall    Remove services + restore Claude Code settings (keeps proxy files)
   purge        Uninstall + remove proxy files
+  rotate-key   Replace the proxy API key and update Claude Code settings that use it
+  verify       Smoke-test every tier through /v1/messages (plain, streaming, tool_use) and
+               check its reasoning effort; prints a pass/fail table (--json for JSON)
+  update       Upgrade CLIProxyAPI in place (config, auths and settings are kept), restart
+               the proxy and re-run the health and tier checks (--check: only report;
+               --replay <fixtures.jsonl>: also replay them and roll back on regressions)
+  env          Print the proxy's Claude Code variables as shell exports, for using it in
+               one shell without touching settings.json (--shell bash|zsh|fish|dotenv,
+               default: the login shell), e.g. eval "$(codex-claudecode-proxy env)"
+  exec -- <command> [args...]
+               Run a command (e.g. claude) with those variables set, starting the proxy
+               service first if it is not running
+  trace        Record Claude Code <-> proxy traffic: points the Claude settings at a local
+               tap proxy until Ctrl-C and writes each request/response (SSE streams
+               reassembled, secrets redacted) as JSONL under ~/.cli-proxy-api/traces
+  trace show [file]
+               Pretty-print a recorded trace (defaults to the newest)
+  replay <fixtures.jsonl>
+               Re-send recorded /v1/messages requests (e.g. a trace file) and compare
+               stop_reason, content block types, tool_use names and input validity and SSE
+               order with the recorded responses; exits 1 on regressions (--json for JSON)
+  usage        Requests and input/output/reasoning tokens per day and tier model, from the
+               management usage endpoint (install --usage-stats) or, without it, request
+               counts from the proxy log (--since YYYY-MM-DD|7d|12h, --json, --csv)
+  plan [install|uninstall|purge]
+               Show what the command would change without changing anything
+               (same as passing --dry-run; defaults to install)
+  backups list | diff <id> | restore <id> | prune [--keep N]
+               Manage Claude settings backups (prune keeps the newest 10 by default)
   help         Show this help
 
+Options (install, uninstall, purge):
+  --dry-run    Print diffs of the files that would be written, the paths that
+               would be deleted and the service commands that would run
+
+Options (install, run, uninstall):
+  --scope <user|project|local>
+               Claude settings to point at the proxy: ~/.claude/settings.json (user,
+               default), <repo>/.claude/settings.json (project) or
+               <repo>/.claude/settings.local.json (local). uninstall without
+               --scope restores every scope install changed.
+
+Options (all commands):
+  --proxy-dir <dir>
+               CLIProxyAPI config, auths and logs (default ~/.cli-proxy-api, or
+               CODEX_CLAUDECODE_PROXY_DIR)
+  --bin-dir <dir>
+               Where the cli-proxy-api binary goes (default ~/.local/bin, or
+               CODEX_CLAUDECODE_PROXY_BIN_DIR / XDG_BIN_HOME)
+  --codex-home <dir>
+               Codex CLI home holding auth.json (default ~/.codex, or CODEX_HOME)
+  --claude-config-dir <dir>
+               Claude Code config dir for user settings (default ~/.claude, or
+               CLAUDE_CONFIG_DIR)
+               install saves non-default directories to the tool config file, so
+               later commands find them without the flags.
+
+Options (install, run):
+  --api-key-helper
+               Hand Claude Code the proxy API key through an apiKeyHelper script
+               instead of ANTHROPIC_AUTH_TOKEN (kept on re-install)
+  --usage-stats
+               Enable CLIProxyAPI usage statistics and its localhost management API
+               with a generated secret, for the usage command (kept on re-install)
+  --token-url <url>
+               OAuth token endpoint for the token refresh job (install saves it to
+               the tool config file)
+  --cli-proxy-api-version <X.Y.Z>
+               Install this CLIProxyAPI release instead of the latest one
+               (must be v${MIN_CLI_PROXY_API_VERSION} or newer)
+  --cli-proxy-api-tarball <path>
+               Install CLIProxyAPI from a local release tarball (offline installs;
+               verified when the release's checksums file sits next to it)
+  --cli-proxy-api-mirror <url>
+               Releases API base URL serving GitHub's JSON shape at <url>/latest and
+               <url>/tags/v<version> (or CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR)
+  --opus <spec>, --sonnet <spec>, --haiku <spec>
+               Override a tier: "<model>,effort=<effort>[,<param>=<value>...]"
+               e.g. --haiku "gpt-5.1-codex-mini,effort=low,text.verbosity=low"
+               Overrides are saved to the tool config file (see README).
+
 Examples:
   npx -y codex-claudecode-proxy@latest
   npx -y codex-claudecode-proxy@latest status
@@ -62,6 +208,28 @@ function parseArgs(argv) {
   const args = [...argv];
   const out = {
     command: "install",
+    args: [],
+    tiers: {},
+    fix: false,
+    json: false,
+    keep: null,
+    dryRun: false,
+    scope: null,
+    shell: null,
+    all: false,
+    from: null,
+    check: false,
+    replay: null,
+    apiKeyHelper: false,
+    usageStats: false,
+    since: null,
+    csv: false,
+    force: false,
+    tokenUrl: null,
+    cliProxyApiVersion: null,
+    cliProxyApiTarball: null,
+    cliProxyApiMirror: null,
+    paths: {},
   };
 
   if (args.length > 0 && !args[0].startsWith("-")) {
@@ -69,17 +237,193 @@ function parseArgs(argv) {
   }
 
   while (args.length > 0) {
-    const a = args.shift();
+    const raw = args.shift();
+    // Accept both "--flag value" and "--flag=value".
+    const eq = raw.startsWith("--") ? raw.indexOf("=") : -1;
+    const a = eq > 0 ? raw.slice(0, eq) : raw;
+    const takeValue = () => {
+      if (eq > 0) return raw.slice(eq + 1);
+      const v = args.shift();
+      if (v == null || v.startsWith("-")) fail(`missing value for ${a}`);
+      return v;
+    };
+
     if (a === "--help" || a === "-h" || a === "help") return { ...out, command: "help" };
+    if (a === "--fix") {
+      out.fix = true;
+      continue;
+    }
+    if (a === "--json") {
+      out.json = true;
+      continue;
+    }
+    if (a === "--dry-run") {
+      out.dryRun = true;
+      continue;
+    }
+    if (a === "--check") {
+      out.check = true;
+      continue;
+    }
+    if (a === "--all") {
+      out.all = true;
+      continue;
+    }
+    if (a === "--api-key-helper") {
+      out.apiKeyHelper = true;
+      continue;
+    }
+    if (a === "--usage-stats") {
+      out.usageStats = true;
+      continue;
+    }
+    if (a === "--force") {
+      out.force = true;
+      continue;
+    }
+    if (a === "--token-url") {
+      out.tokenUrl = takeValue();
+      if (!isHttpUrl(out.tokenUrl)) fail(`--token-url expects an http(s) URL (got ${out.tokenUrl})`);
+      continue;
+    }
+    if (a === "--csv") {
+      out.csv = true;
+      continue;
+    }
+    if (a === "--since") {
+      const v = takeValue();
+      out.since = parseSince(v);
+      if (out.since == null) fail(`--since expects YYYY-MM-DD or a duration like 7d or 12h (got ${v})`);
+      continue;
+    }
+    if (a === "--cli-proxy-api-version") {
+      const v = takeValue().replace(/^v/, "");
+      if (!parseSemver(v)) fail(`--cli-proxy-api-version expects X.Y.Z (got ${v})`);
+      if (compareSemver(v, MIN_CLI_PROXY_API_VERSION) < 0) {
+        fail(`--cli-proxy-api-version ${v} is older than the minimum supported v${MIN_CLI_PROXY_API_VERSION}`);
+      }
+      out.cliProxyApiVersion = v;
+      continue;
+    }
+    if (a === "--cli-proxy-api-tarball") {
+      out.cliProxyApiTarball = takeValue();
+      continue;
+    }
+    if (a === "--cli-proxy-api-mirror") {
+      out.cliProxyApiMirror = takeValue();
+      if (!/^https?:\/\//.test(out.cliProxyApiMirror)) fail(`--cli-proxy-api-mirror expects an http(s) URL (got ${out.cliProxyApiMirror})`);
+      continue;
+    }
+    if (a === "--replay") {
+      out.replay = takeValue();
+      continue;
+    }
+    if (a === "--from") {
+      out.from = takeValue();
+      continue;
+    }
+    if (a === "--scope") {
+      out.scope = takeValue();
+      if (!SETTINGS_SCOPES.includes(out.scope)) fail(`--scope expects one of ${SETTINGS_SCOPES.join(", ")} (got ${out.scope})`);
+      continue;
+    }
+    if (a === "--shell") {
+      out.shell = takeValue();
+      if (!ENV_SHELLS.includes(out.shell)) fail(`--shell expects one of ${ENV_SHELLS.join(", ")} (got ${out.shell})`);
+      continue;
+    }
+    if (a === "--keep") {
+      const v = takeValue();
+      out.keep = Number(v);
+      if (!Number.isInteger(out.keep) || out.keep < 0) fail(`--keep expects a non-negative integer (got ${v})`);
+      continue;
+    }
+    const layoutKey = Object.keys(LAYOUT_DIRS).find((k) => LAYOUT_DIRS[k].flag === a);
+    if (layoutKey) {
+      out.paths[layoutKey] = takeValue();
+      continue;
+    }
+    if (a === "--opus" || a === "--sonnet" || a === "--haiku") {
+      out.tiers[a.slice(2)] = parseTierSpec(takeValue(), a);
+      continue;
+    }
     // Backward compatibility: allow legacy "non-interactive" flags as no-ops.
     if (a === "--yes" || a === "-y") continue;
-    fail(`unknown arg: ${a}`);
+    // Everything after "--" belongs to the command exec runs.
+    if (a === "--" && out.command === "exec") {
+      out.args.push(...args.splice(0));
+      break;
+    }
+    if (!a.startsWith("-") && COMMANDS_WITH_ARGS.has(out.command)) {
+      out.args.push(a);
+      continue;
+    }
+    fail(`unknown arg: ${raw}`);
   }
 
   return out;
 }
 
-function exists(p) {
+// "YYYY-MM-DD" (local midnight) or "<n>d" / "<n>h" ago -> epoch ms, or null when invalid.
+function parseSince(v) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    const t = new Date(`${v}T00:00:00`).getTime();
+    return Number.isNaN(t) ? null : t;
+  }
+  const m = v.match(/^(\d+)([dh])$/);
+  if (!m) return null;
+  return Date.now() - Number(m[1]) * (m[2] === "d" ? 86400000 : 3600000);
+}
+
+// "<model>,effort=<effort>,<param>=<value>,..." -> { model?, effort?, params }
+function parseTierSpec(spec, flag) {
+  const out = { params: {} };
+  for (const item of String(spec).split(",").map((x) => x.trim()).filter(Boolean)) {
+    const eq = item.indexOf("=");
+    if (eq < 0) {
+      if (out.model != null) fail(`${flag}: unexpected "${item}" (expected <param>=<value>)`);
+      out.model = item;
+      continue;
+    }
+    const key = item.slice(0, eq).trim();
+    const value = item.slice(eq + 1).trim();
+    if (!key) fail(`${flag}: empty param name in "${item}"`);
+    if (key === "model") out.model = value;
+    else if (key === "effort" || key === "reasoning.effort") out.effort = value;
+    else out.params[key] = value;
+  }
+  return out;
+}
+
+// Dry-run recorder (--dry-run / plan). While set, the mutating helpers below
+// (writeFileAtomic, removePath, backupFile, mutating run() calls, ...) record what
+// they would do into an in-memory overlay instead of touching the system, and
+// exists()/readText() read through that overlay so later steps see earlier ones.
+let plan = null;
+
+function createPlan(command) {
+  return {
+    command,
+    // abs path -> { content: string | null (deleted), sensitive }
+    files: new Map(),
+    deletedDirs: [],
+    deletions: [],
+    commands: [],
+    actions: [],
+  };
+}
+
+function planState(p) {
+  const abs = path.resolve(p);
+  if (plan.files.has(abs)) return { known: true, exists: plan.files.get(abs).content != null };
+  for (const [f, v] of plan.files) {
+    if (v.content != null && f.startsWith(`${abs}${path.sep}`)) return { known: true, exists: true };
+  }
+  if (plan.deletedDirs.some((d) => abs === d || abs.startsWith(`${d}${path.sep}`))) return { known: true, exists: false };
+  return { known: false };
+}
+
+function realExists(p) {
   try {
     fs.accessSync(p);
     return true;
@@ -88,28 +432,197 @@ function exists(p) {
   }
 }
 
+function exists(p) {
+  if (plan) {
+    const st = planState(p);
+    if (st.known) return st.exists;
+  }
+  return realExists(p);
+}
+
 function ensureDir(p) {
+  if (plan) return;
   fs.mkdirSync(p, { recursive: true });
 }
 
 function readText(p) {
+  if (plan) {
+    const abs = path.resolve(p);
+    const st = planState(abs);
+    if (st.known && !st.exists) throw new Error(`ENOENT (dry run): ${p}`);
+    if (plan.files.has(abs)) return plan.files.get(abs).content;
+  }
   return fs.readFileSync(p, "utf8");
 }
 
-function writeFileAtomic(p, content, mode) {
+function removePath(p) {
+  if (!exists(p)) return;
+  if (plan) {
+    const abs = path.resolve(p);
+    const isDir = realExists(abs) ? fs.statSync(abs).isDirectory() : false;
+    plan.deletions.push({ path: abs, isDir });
+    if (isDir) {
+      plan.deletedDirs.push(abs);
+      for (const [f, v] of plan.files) {
+        if (f.startsWith(`${abs}${path.sep}`)) plan.files.set(f, { ...v, content: null });
+      }
+    } else {
+      plan.files.set(abs, { content: null, sensitive: false, copiedFrom: null });
+    }
+    return;
+  }
+  fs.rmSync(p, { recursive: true, force: true });
+}
+
+// `sensitive` hides the content in dry-run output (e.g. synced tokens).
+function writeFileAtomic(p, content, mode, { sensitive = false } = {}) {
+  if (plan) {
+    plan.files.set(path.resolve(p), { content, sensitive, copiedFrom: null });
+    return;
+  }
   const dir = path.dirname(p);
   ensureDir(dir);
   const tmp = `${p}.tmp.${process.pid}.${nowTs()}`;
-  fs.writeFileSync(tmp, content, "utf8");
+  // Create with the final mode so secrets are never briefly world-readable.
+  fs.writeFileSync(tmp, content, { encoding: "utf8", mode: mode ?? 0o666 });
   if (mode != null) fs.chmodSync(tmp, mode);
   fs.renameSync(tmp, p);
 }
 
+// Command being run, recorded in backup metadata. Set once in main().
+let activeCommand = "unknown";
+
+function newBackupId(backupsDir, date) {
+  const base = date.toISOString().replace(/[-:.]/g, "");
+  let id = base;
+  for (let i = 1; exists(path.join(backupsDir, id)); i += 1) id = `${base}-${i}`;
+  return id;
+}
+
+// Each backup is a directory holding the file copy plus meta.json.
+function storeBackup({ backupsDir, source, fromFile, createdAt, command }) {
+  const id = newBackupId(backupsDir, createdAt);
+  const dir = path.join(backupsDir, id);
+  ensureDir(dir);
+  fs.chmodSync(dir, 0o700);
+  const file = path.join(dir, path.basename(source));
+  fs.copyFileSync(fromFile, file);
+  fs.chmodSync(file, 0o600);
+  const meta = { id, source, file, command, createdAt: createdAt.toISOString() };
+  writeFileAtomic(path.join(dir, "meta.json"), `${JSON.stringify(meta, null, 2)}\n`, 0o600);
+  return meta;
+}
+
+// Older versions dropped "<file>.backup.<ms>" next to the file; move them into the backups dir.
+function migrateLegacyBackups({ backupsDir, source }) {
+  const dir = path.dirname(source);
+  if (!exists(dir)) return;
+  const prefix = `${path.basename(source)}.backup.`;
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.startsWith(prefix)) continue;
+    const ms = Number(name.slice(prefix.length));
+    if (!Number.isFinite(ms)) continue;
+    const legacy = path.join(dir, name);
+    storeBackup({ backupsDir, source, fromFile: legacy, createdAt: new Date(ms), command: "legacy" });
+    fs.rmSync(legacy, { force: true });
+  }
+}
+
+function listBackups(backupsDir) {
+  if (!exists(backupsDir)) return [];
+  return fs.readdirSync(backupsDir)
+    .map((id) => readJsonFile(path.join(backupsDir, id, "meta.json")))
+    .filter((m) => m && typeof m.id === "string")
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+}
+
 function backupFile(p) {
   if (!exists(p)) return null;
-  const bak = `${p}.backup.${nowTs()}`;
-  fs.copyFileSync(p, bak);
-  return bak;
+  if (plan) {
+    plan.actions.push(`back up ${p} to ${layout.backupsDir}`);
+    return null;
+  }
+  const { backupsDir } = layout;
+  migrateLegacyBackups({ backupsDir, source: p });
+  return storeBackup({ backupsDir, source: p, fromFile: p, createdAt: new Date(), command: activeCommand }).file;
+}
+
+// Minimal unified diff (LCS-based). Inputs here are small config files.
+function unifiedDiff(aText, bText, { aLabel = "a", bLabel = "b", context = 3 } = {}) {
+  if (aText === bText) return "";
+  const a = aText.split("\n");
+  const b = bText.split("\n");
+  if (a[a.length - 1] === "") a.pop();
+  if (b[b.length - 1] === "") b.pop();
+
+  /** @type {{ op: " " | "-" | "+", line: string }[]} */
+  let ops = [];
+  if (a.length * b.length > 4_000_000) {
+    ops = [...a.map((line) => ({ op: "-", line })), ...b.map((line) => ({ op: "+", line }))];
+  } else {
+    const n = a.length;
+    const m = b.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i -= 1) {
+      for (let j = m - 1; j >= 0; j -= 1) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[i] === b[j]) {
+        ops.push({ op: " ", line: a[i] });
+        i += 1;
+        j += 1;
+      } else if (j < m && (i >= n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        ops.push({ op: "+", line: b[j] });
+        j += 1;
+      } else {
+        ops.push({ op: "-", line: a[i] });
+        i += 1;
+      }
+    }
+  }
+
+  const out = [`--- ${aLabel}`, `+++ ${bLabel}`];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === " ") {
+      k += 1;
+      continue;
+    }
+    // Grow a hunk until a run of more than 2*context unchanged lines.
+    let start = Math.max(0, k - context);
+    let end = k;
+    while (end < ops.length) {
+      if (ops[end].op !== " ") {
+        end += 1;
+        continue;
+      }
+      let run = 0;
+      while (end + run < ops.length && ops[end + run].op === " ") run += 1;
+      if (end + run >= ops.length || run > context * 2) {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+      end += run;
+    }
+    let aStart = 0;
+    let bStart = 0;
+    for (let x = 0; x < start; x += 1) {
+      if (ops[x].op !== "+") aStart += 1;
+      if (ops[x].op !== "-") bStart += 1;
+    }
+    const hunk = ops.slice(start, end);
+    const aLen = hunk.filter((o) => o.op !== "+").length;
+    const bLen = hunk.filter((o) => o.op !== "-").length;
+    out.push(`@@ -${aLen ? aStart + 1 : aStart},${aLen} +${bLen ? bStart + 1 : bStart},${bLen} @@`);
+    for (const o of hunk) out.push(`${o.op}${o.line}`);
+    k = end;
+    start = end;
+  }
+  return `${out.join("\n")}\n`;
 }
 
 function run(cmd, args, opts = {}) {
@@ -118,8 +631,14 @@ function run(cmd, args, opts = {}) {
     allowFail = false,
     captureStdout = true,
     captureStderr = true,
+    mutating = false,
   } = opts;
 
+  if (plan && mutating) {
+    plan.commands.push([cmd, ...args].join(" "));
+    return { status: 0, stdout: "", stderr: "" };
+  }
+
   const r = spawnSync(cmd, args, {
     cwd,
     encoding: "utf8",
@@ -159,6 +678,8 @@ function compareSemver(a, b) {
 
 function getCliProxyApiVersion(proxyBin) {
   if (!exists(proxyBin)) return null;
+  const cached = activeCachedVersion(proxyBin);
+  if (cached && parseSemver(cached)) return cached;
   // CLIProxyAPI prints its version in help/usage text.
   const r = run(proxyBin, ["--help"], { allowFail: true });
   const txt = `${r.stdout || ""}\n${r.stderr || ""}`;
@@ -166,6 +687,75 @@ function getCliProxyApiVersion(proxyBin) {
   return m ? m[1] : null;
 }
 
+// Every installed CLIProxyAPI release is kept in <proxyDir>/versions/<version>/ and
+// ~/.local/bin/cli-proxy-api is a symlink to the active one, so switching back to a
+// previous release (`binary use`) needs no download.
+function cachedBinaryPath(cacheDir, version) {
+  return path.join(cacheDir, version, "cli-proxy-api");
+}
+
+// Cached versions, newest first.
+function listCachedBinaries(cacheDir) {
+  if (!realExists(cacheDir)) return [];
+  return fs.readdirSync(cacheDir)
+    .filter((v) => realExists(cachedBinaryPath(cacheDir, v)))
+    .sort((a, b) => compareSemver(b, a) ?? b.localeCompare(a));
+}
+
+// Version directory proxyBin links to, or null when it is not a link into a cache.
+function activeCachedVersion(proxyBin) {
+  let target;
+  try {
+    target = fs.readlinkSync(proxyBin);
+  } catch {
+    return null;
+  }
+  const dir = path.dirname(path.resolve(path.dirname(proxyBin), target));
+  return path.basename(path.dirname(dir)) === "versions" ? path.basename(dir) : null;
+}
+
+function cacheBinary({ cacheDir, version, from }) {
+  const target = cachedBinaryPath(cacheDir, version);
+  if (plan) {
+    plan.actions.push(`copy ${from} to ${target}`);
+    return target;
+  }
+  ensureDir(path.dirname(target));
+  const tmp = `${target}.tmp.${process.pid}.${nowTs()}`;
+  fs.copyFileSync(from, tmp);
+  fs.chmodSync(tmp, 0o755);
+  fs.renameSync(tmp, target);
+  return target;
+}
+
+function activateCachedBinary({ proxyBin, cacheDir, version }) {
+  const target = cachedBinaryPath(cacheDir, version);
+  if (plan) {
+    plan.actions.push(`point ${proxyBin} at ${target}`);
+    return;
+  }
+  ensureDir(path.dirname(proxyBin));
+  const tmp = `${proxyBin}.tmp.${process.pid}.${nowTs()}`;
+  fs.symlinkSync(target, tmp);
+  fs.renameSync(tmp, proxyBin);
+}
+
+// A binary installed before the cache existed is a plain file: keep a copy so
+// it can still be switched back to.
+function adoptUncachedBinary({ proxyBin, cacheDir }) {
+  let st;
+  try {
+    st = fs.lstatSync(proxyBin);
+  } catch {
+    return;
+  }
+  if (!st.isFile()) return;
+  const version = getCliProxyApiVersion(proxyBin);
+  if (!version || realExists(cachedBinaryPath(cacheDir, version))) return;
+  cacheBinary({ cacheDir, version, from: proxyBin });
+  log(`Cached previously installed CLIProxyAPI v${version}`);
+}
+
 async function fetchJson(url) {
   const res = await fetch(url, {
     headers: { "user-agent": "codex-claudecode-proxy" },
@@ -279,7 +869,7 @@ async function proxyHealthcheck(port) {
   try {
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), 2000);
-    const res = await fetch(`http://127.0.0.1:${port}/v1/models`, { signal: ctrl.signal });
+    const res = await fetch(`http://127.0.0.1:${port}/v1/models`, { headers: proxyAuthHeaders(), signal: ctrl.signal });
     clearTimeout(t);
     return res.ok;
   } catch {
@@ -287,21 +877,28 @@ async function proxyHealthcheck(port) {
   }
 }
 
+// reasoning.effort the proxy actually sent upstream for `model`, as echoed by /v1/responses.
+async function probeReasoningEffort(port, model) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), 20000);
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/v1/responses`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...proxyAuthHeaders() },
+      body: JSON.stringify({ model, input: "say pong" }),
+      signal: ctrl.signal,
+    });
+    const json = await res.json();
+    return json?.reasoning?.effort ?? null;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
 async function verifyReasoningEffort(port, model, expectedEffort) {
   for (let i = 0; i < 6; i += 1) {
     try {
-      const ctrl = new AbortController();
-      const t = setTimeout(() => ctrl.abort(), 20000);
-      const res = await fetch(`http://127.0.0.1:${port}/v1/responses`, {
-        method: "POST",
-        headers: { "content-type": "application/json" },
-        body: JSON.stringify({ model, input: "say pong" }),
-        signal: ctrl.signal,
-      });
-      clearTimeout(t);
-      const json = await res.json();
-      const effort = json?.reasoning?.effort;
-      if (effort === expectedEffort) return true;
+      if (await probeReasoningEffort(port, model) === expectedEffort) return true;
       await sleep(1000);
     } catch {
       await sleep(1000);
@@ -310,501 +907,3760 @@ async function verifyReasoningEffort(port, model, expectedEffort) {
   return false;
 }
 
-function proxyConfigYaml({ port }) {
-  return `port: ${port}
-auth-dir: "~/.cli-proxy-api/auths"
+// Anthropic Messages API calls, the path Claude Code itself uses. Returns the raw body.
+async function postMessages(port, body, timeoutMs = 60000) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "anthropic-version": "2023-06-01",
+        ...proxyAuthHeaders(),
+      },
+      body: JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+    return text;
+  } finally {
+    clearTimeout(t);
+  }
+}
 
-# Retry transient upstream failures and keep streaming connections alive.
-# This helps reduce intermittent "context canceled" errors seen in Claude Code tool flows.
-request-retry: 6
-max-retry-interval: 60
-streaming:
-  keepalive-seconds: 15
-  bootstrap-retries: 2
+function parseSseEvents(text) {
+  const events = [];
+  for (const chunk of text.split(/\r?\n\r?\n/)) {
+    let event = null;
+    const data = [];
+    for (const line of chunk.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (event == null && data.length === 0) continue;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(data.join("\n"));
+    } catch {
+      parsed = null;
+    }
+    events.push({ event: event ?? parsed?.type ?? "message", data: parsed });
+  }
+  return events;
+}
 
-payload:
-  override:
-    # Claude Code exposes Opus/Sonnet/Haiku tiers. We keep tier-specific model IDs
-    # (so CPA can resolve providers) and control behavior via reasoning.effort.
-    - models:
-        - name: "${DEFAULT_OPUS_MODEL}"
-          protocol: "codex"
-      params:
-        "model": "${DEFAULT_MODEL}"
-        "reasoning.effort": "xhigh"
-        "reasoning.summary": "auto"
-    - models:
-        - name: "${DEFAULT_SONNET_MODEL}"
-          protocol: "codex"
-      params:
-        "model": "${DEFAULT_MODEL}"
-        "reasoning.effort": "high"
-        "reasoning.summary": "auto"
-    - models:
-        - name: "${DEFAULT_HAIKU_MODEL}"
-          protocol: "codex"
-      params:
-        "model": "${DEFAULT_MODEL}"
-        "reasoning.effort": "medium"
-        "reasoning.summary": "auto"
+// Checks a Messages stream has the shape Claude Code expects: message_start, then each
+// content block as start/delta*/stop in index order, then message_delta and message_stop.
+// Returns an error message, or null when the sequence is valid.
+function checkMessageStream(events) {
+  const seq = events.filter((e) => e.event !== "ping");
+  const names = seq.map((e) => e.event);
+  const bad = seq.find((e) => e.event === "error");
+  if (bad) return `error event: ${bad.data?.error?.message ?? "unknown error"}`;
+  if (names[0] !== "message_start") return `expected message_start first, got ${names[0] ?? "no events"}`;
+  if (names.at(-1) !== "message_stop") return `expected message_stop last, got ${names.at(-1)}`;
+  if (names.at(-2) !== "message_delta") return `expected message_delta before message_stop, got ${names.at(-2)}`;
+  let open = null;
+  let count = 0;
+  for (const e of seq.slice(1, -2)) {
+    const index = e.data?.index;
+    if (e.event === "content_block_start") {
+      if (open != null) return `content_block_start ${index} before content_block_stop ${open}`;
+      if (index !== count) return `content block ${index} started out of order (expected ${count})`;
+      open = index;
+      count += 1;
+    } else if (e.event === "content_block_delta") {
+      if (index !== open) return `content_block_delta for block ${index} outside its start/stop`;
+    } else if (e.event === "content_block_stop") {
+      if (index !== open) return `content_block_stop ${index} without a matching start`;
+      open = null;
+    } else {
+      return `unexpected ${e.event} event`;
+    }
+  }
+  if (open != null) return `content block ${open} was never stopped`;
+  if (count === 0) return "stream had no content blocks";
+  return null;
+}
 
-    # Safety net: if Claude Code is configured to send a real Codex model name,
-    # ensure we still use the Codex protocol and request a reasoning summary.
-    - models:
-        - name: "gpt-*"
-          protocol: "codex"
-      params:
-        "reasoning.summary": "auto"
-`;
+// Rebuilds the final message from a Messages stream, as a non-streaming call would return it.
+function reassembleMessageStream(events) {
+  let message = null;
+  for (const { event, data } of events) {
+    if (!data) continue;
+    if (event === "message_start") {
+      message = { ...data.message, content: [...(data.message?.content ?? [])] };
+      continue;
+    }
+    if (!message) continue;
+    const block = message.content[data.index];
+    if (event === "content_block_start") {
+      message.content[data.index] = { ...data.content_block };
+    } else if (event === "content_block_delta" && block) {
+      const d = data.delta ?? {};
+      if (d.type === "text_delta") block.text = (block.text ?? "") + d.text;
+      else if (d.type === "input_json_delta") block.partial_json = (block.partial_json ?? "") + d.partial_json;
+      else if (d.type === "thinking_delta") block.thinking = (block.thinking ?? "") + d.thinking;
+      else if (d.type === "signature_delta") block.signature = d.signature;
+    } else if (event === "content_block_stop" && block && "partial_json" in block) {
+      try {
+        block.input = JSON.parse(block.partial_json || "{}");
+        delete block.partial_json;
+      } catch {
+        // Keep partial_json: the broken tool input is what the trace is for.
+      }
+    } else if (event === "message_delta") {
+      Object.assign(message, data.delta);
+      if (data.usage) message.usage = { ...message.usage, ...data.usage };
+    }
+  }
+  return message;
 }
 
-function ensureEnvDefault(env, key, value) {
-  if (!(key in env)) env[key] = value;
+const VERIFY_TOOL = {
+  name: "get_weather",
+  description: "Get the current weather for a city.",
+  input_schema: {
+    type: "object",
+    properties: { city: { type: "string" } },
+    required: ["city"],
+  },
+};
+
+function checkToolUseBlock(block, tool) {
+  if (!block) return "no tool_use block in the response";
+  if (typeof block.id !== "string" || block.id === "") return "tool_use block has no id";
+  if (block.name !== tool.name) return `tool_use called ${block.name}, expected ${tool.name}`;
+  if (!block.input || typeof block.input !== "object" || Array.isArray(block.input)) {
+    return "tool_use input is not an object";
+  }
+  for (const key of tool.input_schema.required) {
+    const type = tool.input_schema.properties[key].type;
+    if (typeof block.input[key] !== type) return `tool_use input.${key} missing or not a ${type}`;
+  }
+  return null;
 }
 
-function ensureEnvMinInt(env, key, minValue) {
-  const cur = Number.parseInt(String(env[key] ?? ""), 10);
-  if (!Number.isFinite(cur) || cur < minValue) env[key] = String(minValue);
+async function verifyMessage(port, model) {
+  const json = JSON.parse(await postMessages(port, {
+    model,
+    max_tokens: 64,
+    messages: [{ role: "user", content: "Reply with the single word: pong" }],
+  }));
+  if (json?.type !== "message" || json.role !== "assistant") return `unexpected response type ${json?.type}`;
+  if (!Array.isArray(json.content) || !json.content.some((b) => b?.type === "text")) return "no text block in the response";
+  if (typeof json.stop_reason !== "string") return "response has no stop_reason";
+  return null;
+}
+
+async function verifyMessageStream(port, model) {
+  const text = await postMessages(port, {
+    model,
+    max_tokens: 64,
+    stream: true,
+    messages: [{ role: "user", content: "Reply with the single word: pong" }],
+  });
+  return checkMessageStream(parseSseEvents(text));
 }
 
-function tokenSyncScript() {
-  return `#!/usr/bin/env bash
-set -euo pipefail
+// Asks for a forced tool call, then sends the tool_result back and expects a final answer.
+async function verifyToolUse(port, model) {
+  const question = { role: "user", content: "What is the weather in Paris? Use the get_weather tool." };
+  const first = JSON.parse(await postMessages(port, {
+    model,
+    max_tokens: 256,
+    tools: [VERIFY_TOOL],
+    tool_choice: { type: "tool", name: VERIFY_TOOL.name },
+    messages: [question],
+  }));
+  if (first?.stop_reason !== "tool_use") return `stop_reason ${first?.stop_reason}, expected tool_use`;
+  const block = Array.isArray(first.content) ? first.content.find((b) => b?.type === "tool_use") : null;
+  const shape = checkToolUseBlock(block, VERIFY_TOOL);
+  if (shape) return shape;
 
-SRC="\${1:-$HOME/.codex/auth.json}"
-DST="\${2:-$HOME/.cli-proxy-api/auths/codex-from-codex-cli.json}"
+  const second = JSON.parse(await postMessages(port, {
+    model,
+    max_tokens: 256,
+    tools: [VERIFY_TOOL],
+    messages: [
+      question,
+      { role: "assistant", content: first.content },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: block.id, content: "18C and sunny" }] },
+    ],
+  }));
+  if (!Array.isArray(second?.content) || !second.content.some((b) => b?.type === "text")) {
+    return "no text block after the tool_result";
+  }
+  return null;
+}
 
-if [[ ! -f "\${SRC}" ]]; then
-  echo "missing \${SRC} (Codex CLI login required)" >&2
-  exit 1
-fi
+async function timedCheck(fn) {
+  const started = Date.now();
+  try {
+    const error = await fn();
+    return { ok: !error, ms: Date.now() - started, error: error ?? null };
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: e?.name === "AbortError" ? "timed out" : e.message };
+  }
+}
 
-access_token="$(plutil -extract tokens.access_token raw -o - "\${SRC}" 2>/dev/null || true)"
-if [[ -z "\${access_token}" ]]; then
-  echo "tokens.access_token missing in \${SRC}" >&2
-  exit 1
-fi
+function getToolConfigPath(homeDir) {
+  if (process.env.CODEX_CLAUDECODE_PROXY_CONFIG) return process.env.CODEX_CLAUDECODE_PROXY_CONFIG;
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(homeDir, ".config");
+  return path.join(configHome, "codex-claudecode-proxy", "config.json");
+}
 
-id_token="$(plutil -extract tokens.id_token raw -o - "\${SRC}" 2>/dev/null || true)"
-refresh_token="$(plutil -extract tokens.refresh_token raw -o - "\${SRC}" 2>/dev/null || true)"
-account_id="$(plutil -extract tokens.account_id raw -o - "\${SRC}" 2>/dev/null || true)"
-last_refresh="$(plutil -extract last_refresh raw -o - "\${SRC}" 2>/dev/null || true)"
+// Where everything lives, resolved once in main() so every command (and the service
+// jobs) agree. Each directory comes from its flag, then its env var, then the `paths`
+// install saved in the tool config file, then the default.
+let layout = null;
 
-mkdir -p "$(dirname "\${DST}")"
+const LAYOUT_DIRS = {
+  proxyDir: {
+    flag: "--proxy-dir",
+    env: "CODEX_CLAUDECODE_PROXY_DIR",
+    fallback: (homeDir) => path.join(homeDir, ".cli-proxy-api"),
+  },
+  binDir: {
+    flag: "--bin-dir",
+    env: "CODEX_CLAUDECODE_PROXY_BIN_DIR",
+    fallback: (homeDir) => process.env.XDG_BIN_HOME || path.join(homeDir, ".local", "bin"),
+  },
+  codexHome: {
+    flag: "--codex-home",
+    env: "CODEX_HOME",
+    fallback: (homeDir) => path.join(homeDir, ".codex"),
+  },
+  claudeConfigDir: {
+    flag: "--claude-config-dir",
+    env: "CLAUDE_CONFIG_DIR",
+    fallback: (homeDir) => path.join(homeDir, ".claude"),
+  },
+};
 
-cat > "\${DST}.tmp" <<JSON
-{
-  "access_token": "\${access_token}",
-  "account_id": "\${account_id}",
-  "disabled": false,
-  "email": "",
-  "expired": "",
-  "id_token": "\${id_token}",
-  "last_refresh": "\${last_refresh}",
-  "refresh_token": "\${refresh_token}",
-  "type": "codex"
+function expandHome(p, homeDir) {
+  if (p === "~") return homeDir;
+  if (p.startsWith("~/")) return path.join(homeDir, p.slice(2));
+  return path.resolve(p);
 }
-JSON
 
-mv "\${DST}.tmp" "\${DST}"
-chmod 600 "\${DST}"
-`;
+// "~/..." for paths under the home directory, as CLIProxyAPI's own configs write them.
+function homeRelative(p, homeDir) {
+  const rel = path.relative(homeDir, p);
+  return rel && !rel.startsWith("..") && !path.isAbsolute(rel) ? `~/${rel.split(path.sep).join("/")}` : p;
 }
 
-function buildPlistSync({ labelSync, syncScriptPath, homeDir, tokenSyncLog }) {
-  const authJsonPath = path.join(homeDir, ".codex", "auth.json");
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0"><dict>
-  <key>Label</key><string>${labelSync}</string>
-  <key>ProgramArguments</key>
-  <array>
-    <string>/bin/bash</string>
-    <string>-lc</string>
-    <string>${syncScriptPath}</string>
-  </array>
-  <key>RunAtLoad</key><true/>
-  <key>WatchPaths</key>
-  <array>
-    <string>${authJsonPath}</string>
-  </array>
-  <key>StandardOutPath</key><string>${tokenSyncLog}</string>
-  <key>StandardErrorPath</key><string>${tokenSyncLog}</string>
-</dict></plist>
-`;
+function resolveLayout({ paths = {} } = {}, homeDir = os.homedir()) {
+  const toolConfigPath = getToolConfigPath(homeDir);
+  const saved = readToolConfig(toolConfigPath).paths;
+  const dirs = {};
+  for (const [key, spec] of Object.entries(LAYOUT_DIRS)) {
+    const v = paths[key] ?? process.env[spec.env] ?? (saved && typeof saved === "object" ? saved[key] : null);
+    dirs[key] = v ? expandHome(String(v), homeDir) : spec.fallback(homeDir);
+  }
+  const { proxyDir, binDir, codexHome, claudeConfigDir } = dirs;
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(homeDir, ".config");
+  const stateHome = process.env.XDG_STATE_HOME || path.join(homeDir, ".local", "state");
+  return {
+    homeDir,
+    ...dirs,
+    toolConfigPath,
+    authDir: path.join(proxyDir, "auths"),
+    configFile: path.join(proxyDir, "config.yaml"),
+    cliCopyPath: path.join(proxyDir, CLI_COPY_NAME),
+    proxyLog: path.join(proxyDir, "cli-proxy-api.log"),
+    tokenSyncLog: path.join(proxyDir, "token-sync.log"),
+    manifestPath: path.join(proxyDir, INSTALL_MANIFEST_NAME),
+    accountsFile: path.join(proxyDir, ACCOUNTS_FILE_NAME),
+    keyFile: path.join(proxyDir, PROXY_API_KEY_FILE_NAME),
+    helperPath: path.join(proxyDir, API_KEY_HELPER_NAME),
+    managementKeyFile: path.join(proxyDir, MANAGEMENT_KEY_FILE_NAME),
+    cacheDir: path.join(proxyDir, "versions"),
+    tracesDir: path.join(proxyDir, "traces"),
+    proxyBin: path.join(binDir, "cli-proxy-api"),
+    codexAuth: path.join(codexHome, "auth.json"),
+    claudeSettingsPath: path.join(claudeConfigDir, "settings.json"),
+    backupsDir: path.join(stateHome, "codex-claudecode-proxy", "backups"),
+    systemdUnitDir: path.join(configHome, "systemd", "user"),
+    launchAgentsDir: path.join(homeDir, "Library", "LaunchAgents"),
+  };
 }
 
-function buildPlistProxy({ labelProxy, proxyBin, configFile, homeDir, proxyLog }) {
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0"><dict>
-  <key>Label</key><string>${labelProxy}</string>
-  <key>ProgramArguments</key>
-  <array>
-    <string>${proxyBin}</string>
-    <string>--config</string>
-    <string>${configFile}</string>
-  </array>
-  <key>RunAtLoad</key><true/>
-  <key>KeepAlive</key><true/>
-  <key>WorkingDirectory</key><string>${homeDir}</string>
-  <key>StandardOutPath</key><string>${proxyLog}</string>
-  <key>StandardErrorPath</key><string>${proxyLog}</string>
-</dict></plist>
-`;
+// Keys of the LAYOUT_DIRS that differ from their default.
+function nonDefaultLayoutDirs(keys = Object.keys(LAYOUT_DIRS)) {
+  return keys.filter((k) => layout[k] !== LAYOUT_DIRS[k].fallback(layout.homeDir));
 }
 
-async function installCliProxyApiBinary({ proxyBin }) {
-  const forceUpdate = process.env.CODEX_CLAUDECODE_PROXY_FORCE_CLI_PROXY_API_UPDATE === "1";
-  const installedVersion = getCliProxyApiVersion(proxyBin);
-  if (exists(proxyBin) && !forceUpdate) {
-    // If we can't determine the version, don't disrupt a potentially customized setup.
-    // Users can force an update by setting CODEX_CLAUDECODE_PROXY_FORCE_CLI_PROXY_API_UPDATE=1.
-    if (!installedVersion) {
-      log(`CLIProxyAPI already installed: ${proxyBin}`);
-      return;
-    }
+// Non-default directories are saved to the tool config file, so later commands
+// find the install without repeating the flags or env vars.
+function saveLayoutPaths({ toolConfigPath }) {
+  const json = readToolConfig(toolConfigPath);
+  const paths = Object.fromEntries(nonDefaultLayoutDirs().map((k) => [k, layout[k]]));
+  if (JSON.stringify(json.paths ?? {}) === JSON.stringify(paths)) return;
+  if (Object.keys(paths).length > 0) json.paths = paths;
+  else delete json.paths;
+  writeFileAtomic(toolConfigPath, `${JSON.stringify(json, null, 2)}\n`, 0o644);
+  log(`Saved paths to ${toolConfigPath}`);
+}
 
-    const cmp = compareSemver(installedVersion, MIN_CLI_PROXY_API_VERSION);
-    if (cmp == null || cmp >= 0) {
-      log(`CLIProxyAPI already installed: ${proxyBin} (v${installedVersion})`);
-      return;
-    }
+// install --token-url points the token refresh job, which runs without flags, at it.
+function saveTokenUrl({ toolConfigPath, tokenUrl }) {
+  if (tokenUrl == null) return;
+  const json = readToolConfig(toolConfigPath);
+  if (json.tokenUrl === tokenUrl) return;
+  json.tokenUrl = tokenUrl;
+  writeFileAtomic(toolConfigPath, `${JSON.stringify(json, null, 2)}\n`, 0o644);
+  log(`Saved token URL to ${toolConfigPath}`);
+}
 
-    warn(`CLIProxyAPI v${installedVersion} is older than v${MIN_CLI_PROXY_API_VERSION}; updating...`);
-  } else if (exists(proxyBin) && forceUpdate) {
-    warn(`Forcing CLIProxyAPI update (installed=${installedVersion ? `v${installedVersion}` : "unknown"})...`);
+function readToolConfig(toolConfigPath) {
+  if (!exists(toolConfigPath)) return {};
+  let json;
+  try {
+    json = JSON.parse(readText(toolConfigPath));
+  } catch {
+    fail(`failed to parse JSON: ${toolConfigPath}`);
   }
+  if (!json || typeof json !== "object" || Array.isArray(json)) fail(`expected a JSON object: ${toolConfigPath}`);
+  return json;
+}
 
-  const arch = process.arch === "arm64" ? "arm64" : process.arch === "x64" ? "amd64" : null;
-  if (!arch) fail(`unsupported architecture: ${process.arch}`);
-
-  ensureDir(path.dirname(proxyBin));
+function saveTierOverrides({ toolConfigPath, overrides }) {
+  if (Object.keys(overrides).length === 0) return;
+  const json = readToolConfig(toolConfigPath);
+  if (!json.tiers || typeof json.tiers !== "object") json.tiers = {};
+  for (const [tier, o] of Object.entries(overrides)) {
+    const cur = json.tiers[tier] && typeof json.tiers[tier] === "object" ? json.tiers[tier] : {};
+    json.tiers[tier] = {
+      ...cur,
+      ...(o.model != null ? { model: o.model } : {}),
+      ...(o.effort != null ? { effort: o.effort } : {}),
+      params: { ...(cur.params || {}), ...o.params },
+    };
+  }
+  writeFileAtomic(toolConfigPath, `${JSON.stringify(json, null, 2)}\n`, 0o644);
+  log(`Saved tier overrides to ${toolConfigPath}`);
+}
 
-  log("Downloading CLIProxyAPI release from GitHub...");
-  const rel = await fetchJson("https://api.github.com/repos/router-for-me/CLIProxyAPI/releases/latest");
-  const suffix = `darwin_${arch}.tar.gz`;
-  const asset = (rel.assets || []).find((a) => typeof a?.name === "string" && a.name.includes(suffix));
-  if (!asset?.browser_download_url) {
-    fail(`could not find asset containing: ${suffix}`);
+// Merge defaults <- tool config file <- CLI flags into the effective tier table.
+function resolveTiers({ toolConfig, overrides = {} }) {
+  const fileTiers = toolConfig?.tiers && typeof toolConfig.tiers === "object" ? toolConfig.tiers : {};
+  for (const name of Object.keys(fileTiers)) {
+    if (!TIER_NAMES.includes(name)) fail(`unknown tier in tool config: ${name} (expected ${TIER_NAMES.join("/")})`);
+  }
+
+  const tiers = {};
+  for (const name of TIER_NAMES) {
+    const base = DEFAULT_TIERS[name];
+    const fromFile = fileTiers[name] && typeof fileTiers[name] === "object" ? fileTiers[name] : {};
+    const fromFlags = overrides[name] || {};
+    const model = fromFlags.model ?? fromFile.model ?? base.model;
+    const effort = fromFlags.effort ?? fromFile.effort ?? base.effort;
+    const params = { ...base.params, ...(fromFile.params || {}), ...fromFlags.params };
+
+    if (typeof model !== "string" || !/^[A-Za-z0-9._:/-]+$/.test(model)) fail(`${name}: invalid model: ${model}`);
+    if (!REASONING_EFFORTS.includes(effort)) {
+      fail(`${name}: invalid effort: ${effort} (expected one of ${REASONING_EFFORTS.join(", ")})`);
+    }
+    for (const key of Object.keys(params)) {
+      if (key === "model" || key === "reasoning.effort") fail(`${name}: set ${key} via model/effort, not params`);
+    }
+    tiers[name] = { model, effort, params, selector: `${model}(${effort})` };
+  }
+
+  // Tiers sharing a selector share one payload override, so they must agree on params.
+  for (const a of TIER_NAMES) {
+    for (const b of TIER_NAMES) {
+      if (a >= b || tiers[a].selector !== tiers[b].selector) continue;
+      if (JSON.stringify(tiers[a].params) !== JSON.stringify(tiers[b].params)) {
+        fail(`${a} and ${b} both select ${tiers[a].selector} but set different params`);
+      }
+    }
+  }
+  return tiers;
+}
+
+// Read back the payload overrides from config.yaml: { [selector]: { params } }.
+// Only understands the block layout proxyConfigYaml() writes.
+function readTierOverridesFromProxyConfig(configFile) {
+  const out = {};
+  if (!exists(configFile)) return out;
+  const parseScalar = (v) => {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v.replace(/^'(.*)'$/, "$1");
+    }
+  };
+
+  let names = [];
+  let params = null;
+  const flush = () => {
+    for (const n of names) out[n] = { params: params || {} };
+    names = [];
+    params = null;
+  };
+  for (const line of readText(configFile).split("\n")) {
+    if (/^\s*- models:\s*(#.*)?$/.test(line)) {
+      flush();
+      continue;
+    }
+    const name = line.match(/^\s*- name:\s*(.+?)\s*$/);
+    if (name && params == null) {
+      names.push(String(parseScalar(name[1])));
+      continue;
+    }
+    if (/^\s*params:\s*$/.test(line)) {
+      params = {};
+      continue;
+    }
+    const kv = params != null && line.match(/^\s+("[^"]+"|[A-Za-z0-9_.-]+):\s*(.+?)\s*$/);
+    if (kv) {
+      params[String(parseScalar(kv[1]))] = parseScalar(kv[2]);
+      continue;
+    }
+    if (params != null && /^\S/.test(line)) flush();
+  }
+  flush();
+  return out;
+}
+
+function tierOverridesYaml(tiers) {
+  const seen = new Set();
+  const blocks = [];
+  for (const name of TIER_NAMES) {
+    const t = tiers[name];
+    if (seen.has(t.selector)) continue;
+    seen.add(t.selector);
+    const params = { model: t.model, "reasoning.effort": t.effort, ...t.params };
+    blocks.push(`    - models: ${MANAGED_ITEM_MARKER}
+        - name: ${JSON.stringify(t.selector)}
+          protocol: "codex"
+      params:
+${Object.entries(params).map(([k, v]) => `        ${JSON.stringify(k)}: ${JSON.stringify(v)}`).join("\n")}`);
+  }
+  return blocks.join("\n");
+}
+
+function apiKeysYaml(apiKey) {
+  return `# Clients must send this key (Claude Code gets it from settings; see rotate-key).
+api-keys:
+  - ${JSON.stringify(apiKey)} ${MANAGED_ITEM_MARKER}
+`;
+}
+
+function managementYaml(managementKey) {
+  return `# Per-request token counts for \`codex-claudecode-proxy usage\`, read from the management
+# API (localhost only; the usage command reads the secret from ${MANAGEMENT_KEY_FILE_NAME}).
+usage-statistics-enabled: true
+remote-management:
+  allow-remote: false
+  secret-key: ${JSON.stringify(managementKey)}
+`;
+}
+
+function proxyConfigYaml({ port, tiers, apiKey, authDir, managementKey = null }) {
+  return `port: ${port}
+auth-dir: ${JSON.stringify(homeRelative(authDir, layout.homeDir))}
+
+${apiKeysYaml(apiKey)}
+${managementKey ? `${managementYaml(managementKey)}\n` : ""}# Retry transient upstream failures and keep streaming connections alive.
+# This helps reduce intermittent "context canceled" errors seen in Claude Code tool flows.
+request-retry: 6
+max-retry-interval: 60
+streaming:
+  keepalive-seconds: 15
+  bootstrap-retries: 2
+
+payload:
+  override:
+    # Claude Code exposes Opus/Sonnet/Haiku tiers. We keep tier-specific model IDs
+    # (so CPA can resolve providers) and control behavior via reasoning.effort.
+${tierOverridesYaml(tiers)}
+
+    # Safety net: if Claude Code is configured to send a real Codex model name,
+    # ensure we still use the Codex protocol and request a reasoning summary.
+    - models: ${MANAGED_ITEM_MARKER}
+        - name: "gpt-*"
+          protocol: "codex"
+      params:
+        "reasoning.summary": "auto"
+`;
+}
+
+// Re-installs merge into an existing config.yaml instead of regenerating it, so
+// hand-added CLIProxyAPI settings (providers, api-keys, proxy-url, logging, extra
+// payload overrides, ...) survive. Only these keys, and the override and api-keys
+// items tagged with MANAGED_ITEM_MARKER, belong to this tool.
+const OWNED_CONFIG_KEYS = ["port", "auth-dir", "request-retry", "max-retry-interval", "usage-statistics-enabled"];
+const OWNED_STREAMING_KEYS = ["keepalive-seconds", "bootstrap-retries"];
+const OWNED_REMOTE_MANAGEMENT_KEYS = ["secret-key"];
+
+// Split block-style YAML lines into the entries found at `indent`: mapping keys or
+// "- " list items. Comments and blank lines directly above an entry go to its
+// `lead`; anything before the first entry or after the last one is `head`/`tail`.
+// This is a line editor for the layout CLIProxyAPI configs use, not a YAML parser.
+function splitYamlEntries(lines, indent) {
+  const out = { head: [], entries: [], tail: [] };
+  let pending = [];
+  for (const line of lines) {
+    if (/^\s*(#.*)?$/.test(line)) {
+      pending.push(line);
+      continue;
+    }
+    const lineIndent = line.length - line.trimStart().length;
+    if (lineIndent === indent) {
+      const item = line.slice(indent).startsWith("- ");
+      const key = item ? null : line.slice(indent).match(/^("[^"]*"|'[^']*'|[^\s#:][^#:]*?)\s*:(\s|$)/)?.[1]?.replace(/^["'](.*)["']$/, "$1") ?? null;
+      out.entries.push({ key, item, lead: pending, body: [line] });
+    } else if (out.entries.length === 0) {
+      out.head.push(...pending, line);
+    } else {
+      out.entries[out.entries.length - 1].body.push(...pending, line);
+    }
+    pending = [];
+  }
+  out.tail = pending;
+  return out;
+}
+
+function joinYamlEntries({ head, entries, tail }) {
+  return [...head, ...entries.flatMap((e) => [...e.lead, ...e.body]), ...tail];
+}
+
+// Indentation of the first content line below an entry's key line.
+function yamlChildIndent(entry) {
+  const line = entry.body.slice(1).find((l) => !/^\s*(#.*)?$/.test(l));
+  return line == null ? null : line.length - line.trimStart().length;
+}
+
+function reindentYaml(lines, from, to) {
+  return lines.map((l) => (l.trim() === "" ? l : `${" ".repeat(to)}${l.slice(Math.min(from, l.length - l.trimStart().length))}`));
+}
+
+// Replace (keeping the existing lead comments) or append the given keys of `gen` in `cur`.
+function mergeOwnedYamlKeys(cur, gen, keys) {
+  for (const g of gen.entries) {
+    if (!keys.includes(g.key)) continue;
+    const c = cur.entries.find((e) => e.key === g.key);
+    if (c) c.body = g.body;
+    else cur.entries.push(g);
+  }
+}
+
+// Same entry, with its children merged by `mergeChildren(curChildren, genChildren)`.
+// Values written inline (e.g. `streaming: {}`) are replaced wholesale.
+function mergeYamlChildren(c, g, mergeChildren) {
+  const cIndent = yamlChildIndent(c);
+  const gIndent = yamlChildIndent(g);
+  if (!/^[^#]*:\s*(#.*)?$/.test(c.body[0]) || cIndent == null) {
+    c.body = g.body;
+    return;
+  }
+  const cur = splitYamlEntries(c.body.slice(1), cIndent);
+  const gen = splitYamlEntries(reindentYaml(g.body.slice(1), gIndent, cIndent), cIndent);
+  mergeChildren(cur, gen);
+  c.body = [c.body[0], ...joinYamlEntries(cur)];
+}
+
+function overrideItemNames(entry) {
+  return entry.body
+    .map((l) => l.match(/^\s*- name:\s*(.+?)\s*$/)?.[1])
+    .filter(Boolean)
+    .map((n) => n.replace(/^["'](.*)["']$/, "$1"));
+}
+
+// Our payload.override and api-keys items: tagged ones, or (override lists written
+// before the tag existed) codex entries that only name tier selectors or "gpt-*".
+function isManagedItem(entry, legacy) {
+  if (entry.body[0].includes(MANAGED_ITEM_MARKER)) return true;
+  if (!legacy || !entry.body.some((l) => /^\s*protocol:\s*"?codex"?\s*$/.test(l))) return false;
+  const names = overrideItemNames(entry);
+  return names.length > 0 && names.every((n) => n === "gpt-*" || /^[^\s()]+\([a-z]+\)$/.test(n));
+}
+
+// Items of a one-line flow sequence (`key: ["a", b]  # note`) as written, plus its
+// comment; null when the line holds anything this line editor can't split safely
+// (nested lists or maps).
+function parseFlowSequence(line) {
+  const m = line.match(/^[^#[]*:\s*\[(.*)\]\s*(#.*)?$/);
+  if (!m || /[[\]{}]/.test(m[1].replace(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'/g, ""))) return null;
+  const items = m[1].match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,\s][^,]*/g) ?? [];
+  return { items: items.map((i) => i.trim()), comment: m[2] ?? null };
+}
+
+function mergeManagedList(c, g, legacy) {
+  const keyIndent = c.body[0].length - c.body[0].trimStart().length;
+  if (!/^[^#]*:\s*(#.*)?$/.test(c.body[0])) {
+    // Flow style: rewrite it as a block list so the user's items survive the merge.
+    const flow = parseFlowSequence(c.body[0]);
+    if (!flow) fail(`cannot merge "${c.body[0].trim()}" in config.yaml; write ${c.key} as a block list ("- item" lines)`);
+    const keyLine = `${" ".repeat(keyIndent)}${c.key}:${flow.comment ? ` ${flow.comment}` : ""}`;
+    c.body = [keyLine, ...flow.items.map((i) => `${" ".repeat(keyIndent + 2)}- ${i}`), ...c.body.slice(1)];
+  }
+  const cIndent = yamlChildIndent(c);
+  const gIndent = yamlChildIndent(g);
+  if (cIndent == null) {
+    c.body = g.body;
+    return;
+  }
+  const cur = splitYamlEntries(c.body.slice(1), cIndent);
+  const gen = splitYamlEntries(reindentYaml(g.body.slice(1), gIndent, cIndent), cIndent);
+  const first = cur.entries.findIndex((e) => e.item && isManagedItem(e, legacy));
+  const kept = cur.entries.filter((e) => !(e.item && isManagedItem(e, legacy)));
+  const at = first < 0 ? 0 : cur.entries.slice(0, first).filter((e) => kept.includes(e)).length;
+  kept.splice(at, 0, ...gen.entries);
+  cur.entries = kept;
+  c.body = [c.body[0], ...joinYamlEntries(cur)];
+}
+
+// Merge freshly generated config (proxyConfigYaml) into an existing config.yaml.
+function mergeProxyConfigYaml(existingText, generatedText) {
+  const legacy = !existingText.includes(MANAGED_ITEM_MARKER);
+  const cur = splitYamlEntries(existingText.replace(/\n$/, "").split("\n"), 0);
+  const gen = splitYamlEntries(generatedText.replace(/\n$/, "").split("\n"), 0);
+
+  mergeOwnedYamlKeys(cur, gen, OWNED_CONFIG_KEYS);
+
+  for (const g of gen.entries) {
+    if (!["streaming", "payload", "api-keys", "remote-management"].includes(g.key)) continue;
+    const c = cur.entries.find((e) => e.key === g.key);
+    if (!c) {
+      cur.entries.push(g);
+      continue;
+    }
+    if (g.key === "streaming") {
+      mergeYamlChildren(c, g, (cc, gc) => mergeOwnedYamlKeys(cc, gc, OWNED_STREAMING_KEYS));
+      continue;
+    }
+    if (g.key === "remote-management") {
+      mergeYamlChildren(c, g, (cc, gc) => mergeOwnedYamlKeys(cc, gc, OWNED_REMOTE_MANAGEMENT_KEYS));
+      continue;
+    }
+    if (g.key === "api-keys") {
+      // Keys the user added stay valid next to ours.
+      mergeManagedList(c, g, false);
+      continue;
+    }
+    mergeYamlChildren(c, g, (cc, gc) => {
+      const go = gc.entries.find((e) => e.key === "override");
+      const co = cc.entries.find((e) => e.key === "override");
+      if (!co) cc.entries.push(go);
+      else mergeManagedList(co, go, legacy);
+    });
+  }
+  return `${joinYamlEntries(cur).join("\n")}\n`;
+}
+
+// Only the given top-level entries of generated config, for a partial merge.
+function pickYamlEntries(text, keys) {
+  const { entries } = splitYamlEntries(text.replace(/\n$/, "").split("\n"), 0);
+  return `${joinYamlEntries({ head: [], entries: entries.filter((e) => keys.includes(e.key)), tail: [] }).join("\n")}\n`;
+}
+
+function ensureEnvDefault(env, key, value) {
+  if (!(key in env)) env[key] = value;
+}
+
+function ensureEnvMinInt(env, key, minValue) {
+  const cur = Number.parseInt(String(env[key] ?? ""), 10);
+  if (!Number.isFinite(cur) || cur < minValue) env[key] = String(minValue);
+}
+
+// Exit codes for `sync-token`, so schedulers and scripts can tell failures apart.
+const SYNC_TOKEN_EXIT = {
+  MISSING_SOURCE: 2,
+  INVALID_SOURCE: 3,
+  MISSING_TOKENS: 4,
+  WRITE_FAILED: 5,
+  // refresh-token only: the token endpoint refused or could not be reached.
+  REFRESH_FAILED: 6,
+};
+const REQUIRED_CODEX_TOKEN_FIELDS = ["access_token", "refresh_token"];
+const OPTIONAL_CODEX_TOKEN_FIELDS = ["id_token", "account_id"];
+
+// Convert Codex CLI's auth.json into a CLIProxyAPI codex auth file.
+// Returns { ok: true } or { ok: false, code, message } instead of exiting, so the
+// foreground supervisor can keep running after a bad re-sync.
+function syncCodexToken({ src, dst, disabled = false }) {
+  if (!exists(src)) {
+    return { ok: false, code: SYNC_TOKEN_EXIT.MISSING_SOURCE, message: `missing ${src} (Codex CLI login required)` };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(readText(src));
+  } catch {
+    return { ok: false, code: SYNC_TOKEN_EXIT.INVALID_SOURCE, message: `failed to parse JSON: ${src}` };
+  }
+
+  const tokens = json?.tokens;
+  if (!tokens || typeof tokens !== "object") {
+    return { ok: false, code: SYNC_TOKEN_EXIT.MISSING_TOKENS, message: `tokens missing in ${src} (Codex CLI ChatGPT login required)` };
+  }
+  for (const key of REQUIRED_CODEX_TOKEN_FIELDS) {
+    if (typeof tokens[key] !== "string" || !tokens[key]) {
+      return { ok: false, code: SYNC_TOKEN_EXIT.MISSING_TOKENS, message: `tokens.${key} missing in ${src}` };
+    }
+  }
+  for (const key of OPTIONAL_CODEX_TOKEN_FIELDS) {
+    if (tokens[key] != null && typeof tokens[key] !== "string") {
+      return { ok: false, code: SYNC_TOKEN_EXIT.INVALID_SOURCE, message: `tokens.${key} is not a string in ${src}` };
+    }
+  }
+
+  const out = {
+    access_token: tokens.access_token,
+    account_id: tokens.account_id || "",
+    disabled,
+    email: "",
+    expired: "",
+    id_token: tokens.id_token || "",
+    last_refresh: json.last_refresh == null ? "" : String(json.last_refresh),
+    refresh_token: tokens.refresh_token,
+    type: "codex",
+  };
+
+  try {
+    writeFileAtomic(dst, `${JSON.stringify(out, null, 2)}\n`, 0o600, { sensitive: true });
+  } catch (e) {
+    return { ok: false, code: SYNC_TOKEN_EXIT.WRITE_FAILED, message: `failed to write ${dst}: ${e.message}` };
+  }
+  return { ok: true };
+}
+
+function isHttpUrl(s) {
+  return /^https?:\/\//.test(s);
+}
+
+// Token endpoint: --token-url, then CODEX_CLAUDECODE_PROXY_TOKEN_URL, then the tool config
+// file's tokenUrl, then OpenAI's.
+function resolveTokenUrl(opts) {
+  if (opts.tokenUrl != null) return opts.tokenUrl;
+  const fromEnv = process.env.CODEX_CLAUDECODE_PROXY_TOKEN_URL;
+  if (fromEnv) {
+    if (!isHttpUrl(fromEnv)) fail(`CODEX_CLAUDECODE_PROXY_TOKEN_URL expects an http(s) URL (got ${fromEnv})`);
+    return fromEnv;
+  }
+  const { tokenUrl } = readToolConfig(layout.toolConfigPath);
+  if (tokenUrl == null) return CODEX_OAUTH_TOKEN_URL;
+  if (typeof tokenUrl !== "string" || !isHttpUrl(tokenUrl)) {
+    fail(`tokenUrl in ${layout.toolConfigPath} expects an http(s) URL (got ${JSON.stringify(tokenUrl)})`);
+  }
+  return tokenUrl;
+}
+
+async function postRefreshToken(tokenUrl, refreshToken) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), 30000);
+  try {
+    const res = await fetch(tokenUrl, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        client_id: CODEX_OAUTH_CLIENT_ID,
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+        scope: "openid profile email",
+      }),
+      signal: ctrl.signal,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    if (!res.ok) {
+      const reason = json?.error_description ?? json?.error?.message ?? json?.error ?? text.slice(0, 200);
+      throw new Error(`HTTP ${res.status}: ${typeof reason === "string" ? reason : JSON.stringify(reason)}`);
+    }
+    if (typeof json?.access_token !== "string" || !json.access_token) throw new Error("response has no access_token");
+    return json;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Refresh `src` (a Codex CLI auth.json) when its access token is about to expire, write the
+// new tokens back to it the way Codex CLI does, and sync them to `dst`.
+async function refreshCodexToken({ src, dst, disabled = false, tokenUrl, force = false }) {
+  if (!exists(src)) {
+    return { ok: false, code: SYNC_TOKEN_EXIT.MISSING_SOURCE, message: `missing ${src} (Codex CLI login required)` };
+  }
+  const json = readJsonFile(src);
+  if (!json) return { ok: false, code: SYNC_TOKEN_EXIT.INVALID_SOURCE, message: `failed to parse JSON: ${src}` };
+  const refreshToken = json.tokens?.refresh_token;
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return { ok: false, code: SYNC_TOKEN_EXIT.MISSING_TOKENS, message: `tokens.refresh_token missing in ${src}` };
+  }
+
+  const expiresAt = jwtExpiry(json.tokens.access_token);
+  // Opaque tokens carry no expiry; only --force refreshes those.
+  if (!force && (!expiresAt || expiresAt.getTime() - Date.now() > TOKEN_REFRESH_MARGIN_MS)) {
+    return { ok: true, refreshed: false, expiresAt };
+  }
+
+  let fresh;
+  try {
+    fresh = await postRefreshToken(tokenUrl, refreshToken);
+  } catch (e) {
+    const reason = e?.name === "AbortError" ? "timed out" : e.message;
+    return { ok: false, code: SYNC_TOKEN_EXIT.REFRESH_FAILED, message: `token refresh failed (${tokenUrl}): ${reason}; run 'codex login' if this persists` };
+  }
+
+  json.tokens.access_token = fresh.access_token;
+  if (typeof fresh.id_token === "string" && fresh.id_token) json.tokens.id_token = fresh.id_token;
+  // Refresh tokens rotate: the old one is spent now, so the new one must be kept.
+  if (typeof fresh.refresh_token === "string" && fresh.refresh_token) json.tokens.refresh_token = fresh.refresh_token;
+  json.last_refresh = new Date().toISOString();
+  try {
+    writeFileAtomic(src, `${JSON.stringify(json, null, 2)}\n`, 0o600, { sensitive: true });
+  } catch (e) {
+    return { ok: false, code: SYNC_TOKEN_EXIT.WRITE_FAILED, message: `failed to write ${src}: ${e.message}` };
+  }
+  const synced = syncCodexToken({ src, dst, disabled });
+  if (!synced.ok) return synced;
+  return { ok: true, refreshed: true, expiresAt: jwtExpiry(fresh.access_token) };
+}
+
+function decodeJwtPayload(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const json = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    return json && typeof json === "object" ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+// Expiry of a JWT as a Date, or null when the token is opaque or has no `exp`.
+function jwtExpiry(token) {
+  const exp = decodeJwtPayload(token)?.exp;
+  return Number.isFinite(exp) ? new Date(exp * 1000) : null;
+}
+
+function readJsonFile(p) {
+  try {
+    return JSON.parse(readText(p));
+  } catch {
+    return null;
+  }
+}
+
+// Service jobs run a stable copy of this CLI: the npx cache that launched the
+// installer can be cleaned at any time. It is self-contained, so a copy is enough.
+function installCliCopy({ cliCopyPath }) {
+  const self = fileURLToPath(import.meta.url);
+  if (path.resolve(self) === path.resolve(cliCopyPath)) return;
+  if (plan) {
+    plan.files.set(path.resolve(cliCopyPath), { content: readText(self), sensitive: false, copiedFrom: self });
+    return;
+  }
+  const tmp = `${cliCopyPath}.tmp.${process.pid}.${nowTs()}`;
+  ensureDir(path.dirname(cliCopyPath));
+  fs.copyFileSync(self, tmp);
+  fs.chmodSync(tmp, 0o755);
+  fs.renameSync(tmp, cliCopyPath);
+}
+
+function tokenSyncCommand({ cliCopyPath, command = "sync-token", tokenUrl = CODEX_OAUTH_TOKEN_URL }) {
+  // The job runs without the installer's flags and env (and may not find a tool config
+  // file moved by either), so it is told where things are.
+  const dirs = nonDefaultLayoutDirs(["proxyDir", "codexHome"]).flatMap((k) => [LAYOUT_DIRS[k].flag, layout[k]]);
+  const endpoint = command === "refresh-token" && tokenUrl !== CODEX_OAUTH_TOKEN_URL ? ["--token-url", tokenUrl] : [];
+  return [process.execPath, cliCopyPath, command, "--all", ...dirs, ...endpoint];
+}
+
+function readAccounts(accountsFile) {
+  const json = exists(accountsFile) ? readJsonFile(accountsFile) : null;
+  if (!json || typeof json !== "object" || !json.accounts || typeof json.accounts !== "object") {
+    return { version: 1, accounts: {} };
+  }
+  return json;
+}
+
+function writeAccounts(accountsFile, registry) {
+  writeFileAtomic(accountsFile, `${JSON.stringify(registry, null, 2)}\n`, 0o600);
+}
+
+// Every auth file the token sync keeps up to date: the default account from
+// ~/.codex/auth.json, then the accounts added with `account add`.
+function tokenSyncTargets() {
+  const { authDir } = layout;
+  const { accounts } = readAccounts(layout.accountsFile);
+  const targets = [{
+    name: DEFAULT_ACCOUNT,
+    src: layout.codexAuth,
+    dst: accountAuthFile(authDir, DEFAULT_ACCOUNT),
+    disabled: Boolean(accounts[DEFAULT_ACCOUNT]?.disabled),
+  }];
+  for (const [name, a] of Object.entries(accounts)) {
+    if (name === DEFAULT_ACCOUNT) continue;
+    targets.push({ name, src: a.source, dst: accountAuthFile(authDir, name), disabled: Boolean(a.disabled) });
+  }
+  return targets;
+}
+
+function accountAuthFile(authDir, name) {
+  return path.join(authDir, name === DEFAULT_ACCOUNT ? CODEX_AUTH_FILE_NAME : `codex-account-${name}.json`);
+}
+
+// Sync every account; failures are returned so callers decide whether they are fatal.
+function syncAllAccounts(targets) {
+  const failures = [];
+  for (const t of targets) {
+    const r = syncCodexToken({ src: t.src, dst: t.dst, disabled: t.disabled });
+    if (!r.ok) failures.push({ ...r, name: t.name });
+  }
+  return failures;
+}
+
+function writeServiceUnits({ service, tokenUrl = resolveTokenUrl({}) }) {
+  service.writeUnits({
+    proxyBin: layout.proxyBin,
+    configFile: layout.configFile,
+    syncCommand: tokenSyncCommand({ cliCopyPath: layout.cliCopyPath }),
+    refreshCommand: tokenSyncCommand({ cliCopyPath: layout.cliCopyPath, command: "refresh-token", tokenUrl }),
+    watchPaths: [...new Set(tokenSyncTargets().map((t) => t.src))],
+    proxyLog: layout.proxyLog,
+    tokenSyncLog: layout.tokenSyncLog,
+  });
+}
+
+// Job arguments can carry a user-given URL, so escape them for the plist.
+function xmlEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function xmlUnescape(s) {
+  return s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+function buildPlistSync({ labelSync, syncCommand, watchPaths, tokenSyncLog }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0"><dict>
+  <key>Label</key><string>${labelSync}</string>
+  <key>ProgramArguments</key>
+  <array>
+${syncCommand.map((a) => `    <string>${xmlEscape(a)}</string>`).join("\n")}
+  </array>
+  <key>RunAtLoad</key><true/>
+  <key>WatchPaths</key>
+  <array>
+${watchPaths.map((p) => `    <string>${p}</string>`).join("\n")}
+  </array>
+  <key>StandardOutPath</key><string>${tokenSyncLog}</string>
+  <key>StandardErrorPath</key><string>${tokenSyncLog}</string>
+</dict></plist>
+`;
+}
+
+function buildPlistRefresh({ labelRefresh, refreshCommand, tokenSyncLog }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0"><dict>
+  <key>Label</key><string>${labelRefresh}</string>
+  <key>ProgramArguments</key>
+  <array>
+${refreshCommand.map((a) => `    <string>${xmlEscape(a)}</string>`).join("\n")}
+  </array>
+  <key>RunAtLoad</key><true/>
+  <key>StartInterval</key><integer>${TOKEN_REFRESH_INTERVAL_SECONDS}</integer>
+  <key>StandardOutPath</key><string>${tokenSyncLog}</string>
+  <key>StandardErrorPath</key><string>${tokenSyncLog}</string>
+</dict></plist>
+`;
+}
+
+function buildPlistProxy({ labelProxy, proxyBin, configFile, homeDir, proxyLog }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0"><dict>
+  <key>Label</key><string>${labelProxy}</string>
+  <key>ProgramArguments</key>
+  <array>
+    <string>${proxyBin}</string>
+    <string>--config</string>
+    <string>${configFile}</string>
+  </array>
+  <key>RunAtLoad</key><true/>
+  <key>KeepAlive</key><true/>
+  <key>WorkingDirectory</key><string>${homeDir}</string>
+  <key>StandardOutPath</key><string>${proxyLog}</string>
+  <key>StandardErrorPath</key><string>${proxyLog}</string>
+</dict></plist>
+`;
+}
+
+function systemdQuote(s) {
+  return `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function buildSystemdProxyService({ proxyBin, configFile, homeDir, proxyLog }) {
+  return `[Unit]
+Description=CLIProxyAPI (codex-claudecode-proxy)
+After=network-online.target
+
+[Service]
+ExecStart=${systemdQuote(proxyBin)} --config ${systemdQuote(configFile)}
+WorkingDirectory=${homeDir}
+Restart=always
+RestartSec=2
+StandardOutput=append:${proxyLog}
+StandardError=append:${proxyLog}
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+function buildSystemdSyncService({ syncCommand, tokenSyncLog }) {
+  return `[Unit]
+Description=Sync Codex CLI token into CLIProxyAPI (codex-claudecode-proxy)
+
+[Service]
+Type=oneshot
+ExecStart=${syncCommand.map(systemdQuote).join(" ")}
+StandardOutput=append:${tokenSyncLog}
+StandardError=append:${tokenSyncLog}
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+function buildSystemdRefreshService({ refreshCommand, tokenSyncLog }) {
+  return `[Unit]
+Description=Refresh Codex OAuth tokens before they expire (codex-claudecode-proxy)
+
+[Service]
+Type=oneshot
+ExecStart=${refreshCommand.map(systemdQuote).join(" ")}
+StandardOutput=append:${tokenSyncLog}
+StandardError=append:${tokenSyncLog}
+`;
+}
+
+// Equivalent of the LaunchAgent StartInterval.
+function buildSystemdRefreshTimer({ refreshUnit }) {
+  return `[Unit]
+Description=Periodic Codex OAuth token refresh (codex-claudecode-proxy)
+
+[Timer]
+OnActiveSec=1min
+OnUnitActiveSec=${TOKEN_REFRESH_INTERVAL_SECONDS}s
+Unit=${refreshUnit}
+
+[Install]
+WantedBy=timers.target
+`;
+}
+
+// Equivalent of the LaunchAgent WatchPaths: re-run the sync service when any
+// account's auth.json changes.
+function buildSystemdSyncPath({ syncUnit, watchPaths }) {
+  return `[Unit]
+Description=Watch Codex CLI auth.json (codex-claudecode-proxy)
+
+[Path]
+${watchPaths.map((p) => `PathChanged=${p}`).join("\n")}
+Unit=${syncUnit}
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+const CLI_PROXY_API_RELEASES_URL = "https://api.github.com/repos/router-for-me/CLIProxyAPI/releases";
+
+// `tarball` installs from a local file (offline installs); `mirror` replaces the
+// GitHub releases API with any server answering the same JSON at <mirror>/latest
+// and <mirror>/tags/v<version>.
+async function installCliProxyApiBinary({ proxyBin, cacheDir, version = null, tarball = null, mirror = null }) {
+  const forceUpdate = process.env.CODEX_CLAUDECODE_PROXY_FORCE_CLI_PROXY_API_UPDATE === "1";
+  const installedVersion = getCliProxyApiVersion(proxyBin);
+  if (tarball) {
+    // An explicit tarball always wins over whatever is installed.
+  } else if (exists(proxyBin) && version && !forceUpdate) {
+    if (installedVersion === version) {
+      log(`CLIProxyAPI already installed: ${proxyBin} (v${installedVersion}, pinned)`);
+      return;
+    }
+    if (listCachedBinaries(cacheDir).includes(version)) {
+      adoptUncachedBinary({ proxyBin, cacheDir });
+      activateCachedBinary({ proxyBin, cacheDir, version });
+      log(`Switched to cached CLIProxyAPI v${version}: ${proxyBin}`);
+      return;
+    }
+    warn(`CLIProxyAPI ${installedVersion ? `v${installedVersion}` : "(unknown version)"} installed; switching to pinned v${version}...`);
+  } else if (exists(proxyBin) && !forceUpdate) {
+    // If we can't determine the version, don't disrupt a potentially customized setup.
+    // Users can force an update by setting CODEX_CLAUDECODE_PROXY_FORCE_CLI_PROXY_API_UPDATE=1.
+    if (!installedVersion) {
+      log(`CLIProxyAPI already installed: ${proxyBin}`);
+      return;
+    }
+
+    const cmp = compareSemver(installedVersion, MIN_CLI_PROXY_API_VERSION);
+    if (cmp == null || cmp >= 0) {
+      log(`CLIProxyAPI already installed: ${proxyBin} (v${installedVersion})`);
+      return;
+    }
+
+    warn(`CLIProxyAPI v${installedVersion} is older than v${MIN_CLI_PROXY_API_VERSION}; updating...`);
+  } else if (exists(proxyBin) && forceUpdate) {
+    warn(`Forcing CLIProxyAPI update (installed=${installedVersion ? `v${installedVersion}` : "unknown"})...`);
+  }
+
+  const arch = process.arch === "arm64" ? "arm64" : process.arch === "x64" ? "amd64" : null;
+  if (!arch) fail(`unsupported architecture: ${process.arch}`);
+  const platform = process.platform === "darwin" ? "darwin" : process.platform === "linux" ? "linux" : null;
+  if (!platform) fail(`unsupported platform: ${process.platform}`);
+  const suffix = `${platform}_${arch}.tar.gz`;
+  const releaseLabel = version ? `v${version}` : "latest";
+  const releasesUrl = (mirror || CLI_PROXY_API_RELEASES_URL).replace(/\/+$/, "");
+  const origin = mirror ? releasesUrl : "GitHub";
+
+  ensureDir(path.dirname(proxyBin));
+
+  if (plan) {
+    plan.actions.push(tarball
+      ? `install CLIProxyAPI from ${path.resolve(tarball)} to ${proxyBin}`
+      : `download the ${releaseLabel} CLIProxyAPI release (${suffix}) from ${origin}, verify it against the release checksums, cache it in ${cacheDir} and point ${proxyBin} at it`);
+    return;
   }
 
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "codex-claudecode-proxy-"));
-  const tarball = path.join(tmpDir, "cli-proxy-api.tar.gz");
-  await downloadToFile(asset.browser_download_url, tarball);
+  // fail() ends the process through process.exit, which skips finally blocks; the exit
+  // hook covers those paths.
+  const removeTmpDir = () => fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.once("exit", removeTmpDir);
+  let extractedVersion;
+  let cached;
+  try {
+    let archive;
+    let assetName;
+    let checksums = null;
+    if (tarball) {
+      archive = path.resolve(tarball);
+      if (!exists(archive)) fail(`missing ${archive}`);
+      assetName = path.basename(archive);
+      // Verify when the release's checksums file was copied along with the tarball. Only
+      // its release names count, not whatever else in the directory ends in checksums.txt.
+      const release = assetName.match(/^(.+)_(\d+\.\d+\.\d+)_[^_]+_[^_]+\.tar\.gz$/);
+      const names = [...(release ? [`${release[1]}_${release[2]}_checksums.txt`] : []), "checksums.txt"];
+      const sums = names.find((n) => exists(path.join(path.dirname(archive), n)));
+      if (sums) checksums = { name: sums, text: readText(path.join(path.dirname(archive), sums)) };
+      else warn(`no ${names.join(" or ")} next to ${archive}; installing it unverified`);
+      log(`Installing CLIProxyAPI from ${archive}...`);
+    } else {
+      log(`Downloading CLIProxyAPI release (${releaseLabel}) from ${origin}...`);
+      const rel = await fetchJson(version ? `${releasesUrl}/tags/v${version}` : `${releasesUrl}/latest`);
+      const assets = rel.assets || [];
+      const asset = assets.find((a) => typeof a?.name === "string" && a.name.includes(suffix));
+      if (!asset?.browser_download_url) {
+        fail(`could not find asset containing: ${suffix}`);
+      }
+      const checksumsAsset = assets.find((a) => typeof a?.name === "string" && /checksums\.txt$/i.test(a.name));
+      if (!checksumsAsset?.browser_download_url) {
+        fail(`release ${rel.tag_name || releaseLabel} has no checksums file; refusing to install an unverified binary`);
+      }
+      archive = path.join(tmpDir, "cli-proxy-api.tar.gz");
+      assetName = asset.name;
+      await downloadToFile(asset.browser_download_url, archive);
+      const checksumsFile = path.join(tmpDir, "checksums.txt");
+      await downloadToFile(checksumsAsset.browser_download_url, checksumsFile);
+      checksums = { name: checksumsAsset.name, text: readText(checksumsFile) };
+    }
+
+    if (checksums) {
+      const expected = parseChecksums(checksums.text).get(assetName);
+      if (!expected) fail(`${checksums.name} has no entry for ${assetName}; refusing to install`);
+      const actual = sha256File(archive);
+      if (actual !== expected) {
+        fail(`checksum mismatch for ${assetName}: expected ${expected}, got ${actual}; refusing to install`);
+      }
+      log(`Verified ${assetName} (sha256 ${actual})`);
+    }
+
+    log("Extracting tarball...");
+    run("tar", ["-xzf", archive, "-C", tmpDir]);
+
+    const found = findFileRecursive(tmpDir, ["cli-proxy-api", "CLIProxyAPI"]);
+    if (!found) fail("failed to locate extracted binary");
+    fs.chmodSync(found, 0o755);
+
+    // Check what was actually extracted, not just what the release claimed to be.
+    extractedVersion = getCliProxyApiVersion(found);
+    if (extractedVersion && version && extractedVersion !== version) {
+      fail(`extracted CLIProxyAPI reports v${extractedVersion}, expected pinned v${version}`);
+    }
+    if (extractedVersion && compareSemver(extractedVersion, MIN_CLI_PROXY_API_VERSION) < 0) {
+      fail(`CLIProxyAPI v${extractedVersion} is older than the minimum supported v${MIN_CLI_PROXY_API_VERSION}`);
+    }
+
+    adoptUncachedBinary({ proxyBin, cacheDir });
+    const cachedVersion = extractedVersion ?? `unknown-${sha256File(found).slice(0, 12)}`;
+    cached = cacheBinary({ cacheDir, version: cachedVersion, from: found });
+    activateCachedBinary({ proxyBin, cacheDir, version: cachedVersion });
+  } finally {
+    removeTmpDir();
+    process.removeListener("exit", removeTmpDir);
+  }
+
+  log(`Installed: ${proxyBin}${extractedVersion ? ` (v${extractedVersion})` : ""} -> ${cached}`);
+}
+
+// goreleaser-style checksums file: "<sha256>  <file name>" per line.
+function parseChecksums(text) {
+  const out = new Map();
+  for (const line of String(text).split("\n")) {
+    const m = line.trim().match(/^([0-9a-fA-F]{64})\s+\*?(\S+)$/);
+    if (m) out.set(path.basename(m[2]), m[1].toLowerCase());
+  }
+  return out;
+}
+
+function sha256File(p) {
+  return crypto.createHash("sha256").update(fs.readFileSync(p)).digest("hex");
+}
+
+// Records, per settings file, the original value (or absence) of every env key
+// install changed, so uninstall can put back exactly what was there.
+function readInstallManifest(manifestPath) {
+  const json = exists(manifestPath) ? readJsonFile(manifestPath) : null;
+  if (!json || typeof json !== "object" || !json.settings || typeof json.settings !== "object") {
+    return { version: 1, settings: {} };
+  }
+  return json;
+}
+
+function writeInstallManifest(manifestPath, manifest) {
+  if (Object.keys(manifest.settings).length === 0) {
+    removePath(manifestPath);
+    return;
+  }
+  writeFileAtomic(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 0o600);
+}
+
+function envSlot(env, key) {
+  return key in env ? { existed: true, value: env[key] } : { existed: false };
+}
+
+function sameSlot(a, b) {
+  return a.existed === b.existed && (!a.existed || JSON.stringify(a.value) === JSON.stringify(b.value));
+}
+
+// Merge a before/after env diff into the manifest. Keys already recorded keep
+// their original `before`, so repeated updates never lose the pre-install value.
+function recordSettingsChanges({
+  manifestPath,
+  claudeSettingsPath,
+  envBefore,
+  envAfter,
+  envCreated = false,
+  settingsBefore = {},
+  settingsAfter = {},
+}) {
+  const manifest = readInstallManifest(manifestPath);
+  const entry = manifest.settings[claudeSettingsPath] || { envCreated, keys: {} };
+  const record = (slots, before, after, keys) => {
+    for (const key of keys) {
+      const b = envSlot(before, key);
+      const a = envSlot(after, key);
+      if (slots[key]) {
+        slots[key].after = a;
+      } else if (!sameSlot(b, a)) {
+        slots[key] = { before: b, after: a };
+      }
+    }
+  };
+  record(entry.keys, envBefore, envAfter, new Set([...Object.keys(envBefore), ...Object.keys(envAfter)]));
+  const settingsKeys = entry.settingsKeys || {};
+  record(settingsKeys, settingsBefore, settingsAfter, MANAGED_SETTINGS_KEYS);
+  if (Object.keys(settingsKeys).length > 0) entry.settingsKeys = settingsKeys;
+  manifest.settings[claudeSettingsPath] = entry;
+  manifest.updatedAt = new Date().toISOString();
+  writeInstallManifest(manifestPath, manifest);
+}
+
+function generateProxyApiKey() {
+  return `ccproxy-${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function readKeyFile(keyFile) {
+  if (!exists(keyFile)) return null;
+  return readText(keyFile).trim() || null;
+}
+
+// The key is kept across re-installs; only rotate-key replaces it.
+function ensureProxyApiKey(keyFile) {
+  const cur = readKeyFile(keyFile);
+  if (cur) return cur;
+  log("Generating proxy API key...");
+  const key = generateProxyApiKey();
+  writeFileAtomic(keyFile, `${key}\n`, 0o600, { sensitive: true });
+  return key;
+}
+
+// Install --usage-stats turns usage statistics on; later installs keep them on.
+function ensureManagementKey(managementKeyFile, enable) {
+  const cur = readKeyFile(managementKeyFile);
+  if (cur || !enable) return cur;
+  log("Generating management API secret...");
+  const key = crypto.randomBytes(24).toString("hex");
+  writeFileAtomic(managementKeyFile, `${key}\n`, 0o600, { sensitive: true });
+  return key;
+}
+
+// Headers for this tool's own requests to the proxy (health checks, verification).
+function proxyAuthHeaders() {
+  const key = readKeyFile(layout.keyFile) ?? LEGACY_PROXY_TOKEN;
+  return { authorization: `Bearer ${key}`, "x-api-key": key };
+}
+
+function writeApiKeyHelper({ helperPath, keyFile }) {
+  writeFileAtomic(helperPath, `#!/bin/sh
+# apiKeyHelper for Claude Code: prints the proxy API key (see rotate-key).
+exec cat '${keyFile.replace(/'/g, "'\\''")}'
+`, 0o700);
+}
+
+// Settings that already use our helper keep using it on re-install.
+function usesApiKeyHelper(claudeSettingsPath, helperPath) {
+  return exists(claudeSettingsPath) && readJsonFile(claudeSettingsPath)?.apiKeyHelper === helperPath;
+}
+
+// What differs in Claude settings from what install writes for this proxy (values of
+// the key itself are never printed).
+function proxySettingsProblems(json, { port, tiers, apiKey, helperPath }) {
+  const env = json.env && typeof json.env === "object" ? json.env : {};
+  const problems = [];
+  const expect = (key, expected) => {
+    if (env[key] !== expected) problems.push(`${key} is ${env[key] == null ? "unset" : JSON.stringify(env[key])}, expected "${expected}"`);
+  };
+  expect("ANTHROPIC_BASE_URL", `http://127.0.0.1:${port}`);
+  if (json.apiKeyHelper !== helperPath && env.ANTHROPIC_AUTH_TOKEN !== apiKey) {
+    problems.push(`ANTHROPIC_AUTH_TOKEN ${env.ANTHROPIC_AUTH_TOKEN == null ? "is unset" : "does not match the proxy API key"}`);
+  }
+  expect("ANTHROPIC_DEFAULT_OPUS_MODEL", tiers.opus.selector);
+  expect("ANTHROPIC_DEFAULT_SONNET_MODEL", tiers.sonnet.selector);
+  expect("ANTHROPIC_DEFAULT_HAIKU_MODEL", tiers.haiku.selector);
+  return problems;
+}
+
+// Point Claude Code at `apiKey`: via the helper script when `apiKeyHelper` is set,
+// otherwise through ANTHROPIC_AUTH_TOKEN.
+function applyProxyApiKey(json, { apiKey, apiKeyHelper }) {
+  if (apiKeyHelper) {
+    json.apiKeyHelper = apiKeyHelper;
+    delete json.env.ANTHROPIC_AUTH_TOKEN;
+  } else {
+    json.env.ANTHROPIC_AUTH_TOKEN = apiKey;
+  }
+}
+
+// Tool flows can be slow with large tool schemas. Keep timeouts generous.
+// https://docs.claude.com/en/docs/claude-code/settings
+// (API_TIMEOUT_MS is best-effort: not documented, but commonly used and safe to keep high.)
+const PROXY_ENV_MIN_INTS = {
+  BASH_DEFAULT_TIMEOUT_MS: 120000,
+  BASH_MAX_TIMEOUT_MS: 600000,
+  MCP_TIMEOUT: 30000,
+  MCP_TOOL_TIMEOUT: 600000,
+  API_TIMEOUT_MS: 600000,
+};
+const PROXY_ENV_DEFAULTS = { CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC: "1" };
+// Global model overrides that would bypass the tier selectors.
+const PROXY_ENV_UNSET_KEYS = ["ANTHROPIC_MODEL", "ANTHROPIC_SMALL_FAST_MODEL"];
+
+function updateClaudeSettings({ claudeSettingsPath, port, tiers, manifestPath, apiKey, apiKeyHelper = null }) {
+  ensureDir(path.dirname(claudeSettingsPath));
+  if (!exists(claudeSettingsPath)) {
+    writeFileAtomic(claudeSettingsPath, "{}\n", 0o600);
+  }
+
+  backupFile(claudeSettingsPath);
+
+  let json;
+  try {
+    json = JSON.parse(readText(claudeSettingsPath));
+  } catch {
+    fail(`failed to parse JSON: ${claudeSettingsPath}`);
+  }
+
+  if (!json || typeof json !== "object") json = {};
+  const envCreated = !json.env || typeof json.env !== "object";
+  if (envCreated) json.env = {};
+  const envBefore = { ...json.env };
+  const settingsBefore = { ...json };
+
+  json.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${port}`;
+  applyProxyApiKey(json, { apiKey, apiKeyHelper });
+  // Avoid global model overrides. Let Claude Code tiers select models.
+  for (const key of PROXY_ENV_UNSET_KEYS) delete json.env[key];
+  json.env.ANTHROPIC_DEFAULT_OPUS_MODEL = tiers.opus.selector;
+  json.env.ANTHROPIC_DEFAULT_SONNET_MODEL = tiers.sonnet.selector;
+  json.env.ANTHROPIC_DEFAULT_HAIKU_MODEL = tiers.haiku.selector;
+
+  for (const [key, minValue] of Object.entries(PROXY_ENV_MIN_INTS)) ensureEnvMinInt(json.env, key, minValue);
+  for (const [key, value] of Object.entries(PROXY_ENV_DEFAULTS)) ensureEnvDefault(json.env, key, value);
+
+  // Record before writing: a crash in between must not lose the original values.
+  recordSettingsChanges({
+    manifestPath,
+    claudeSettingsPath,
+    envBefore,
+    envAfter: json.env,
+    envCreated,
+    settingsBefore,
+    settingsAfter: json,
+  });
+  writeFileAtomic(claudeSettingsPath, `${JSON.stringify(json, null, 2)}\n`, 0o600);
+}
+
+// Keys removed when there is no manifest (installs made before manifests existed).
+const LEGACY_PROXY_ENV_KEYS = [
+  "ANTHROPIC_BASE_URL",
+  "ANTHROPIC_AUTH_TOKEN",
+  "ANTHROPIC_MODEL",
+  "ANTHROPIC_SMALL_FAST_MODEL",
+  "ANTHROPIC_DEFAULT_SONNET_MODEL",
+  "ANTHROPIC_DEFAULT_OPUS_MODEL",
+  "ANTHROPIC_DEFAULT_HAIKU_MODEL",
+];
+
+function cleanupClaudeSettings({ claudeSettingsPath, manifestPath }) {
+  const manifest = readInstallManifest(manifestPath);
+  const entry = manifest.settings[claudeSettingsPath];
+
+  if (!exists(claudeSettingsPath)) {
+    if (entry) {
+      delete manifest.settings[claudeSettingsPath];
+      writeInstallManifest(manifestPath, manifest);
+    }
+    return;
+  }
+
+  backupFile(claudeSettingsPath);
+
+  let json;
+  try {
+    json = JSON.parse(readText(claudeSettingsPath));
+  } catch {
+    fail(`failed to parse JSON: ${claudeSettingsPath}`);
+  }
+
+  if (!json || typeof json !== "object") return;
+
+  if (json.env && typeof json.env === "object") {
+    if (entry) {
+      for (const [key, { before, after }] of Object.entries(entry.keys)) {
+        if (!sameSlot(envSlot(json.env, key), after)) {
+          warn(`${key} in ${claudeSettingsPath} was changed after install; leaving it as is`);
+          continue;
+        }
+        if (before.existed) json.env[key] = before.value;
+        else delete json.env[key];
+      }
+    } else if (/^http:\/\/127\.0\.0\.1:\d+\/?$/.test(String(json.env.ANTHROPIC_BASE_URL || ""))) {
+      // Only strip keys when settings still point at a local proxy; otherwise they are the user's.
+      for (const key of LEGACY_PROXY_ENV_KEYS) delete json.env[key];
+    }
+  }
+  for (const [key, { before, after }] of Object.entries(entry?.settingsKeys ?? {})) {
+    if (!sameSlot(envSlot(json, key), after)) {
+      warn(`${key} in ${claudeSettingsPath} was changed after install; leaving it as is`);
+      continue;
+    }
+    if (before.existed) json[key] = before.value;
+    else delete json[key];
+  }
+  if (entry?.envCreated && json.env && typeof json.env === "object" && Object.keys(json.env).length === 0) delete json.env;
+
+  writeFileAtomic(claudeSettingsPath, `${JSON.stringify(json, null, 2)}\n`, 0o600);
+  if (entry) {
+    delete manifest.settings[claudeSettingsPath];
+    writeInstallManifest(manifestPath, manifest);
+  }
+}
+
+// Snapshot of everything install may change, taken before it changes anything.
+// While set, fail() restores it before exiting, so a failed (re)install leaves
+// the previous setup working instead of half-removed.
+let installTransaction = null;
+
+function snapshotPath(p) {
+  let st;
+  try {
+    st = fs.lstatSync(p);
+  } catch {
+    return { path: p, kind: "missing" };
+  }
+  if (st.isSymbolicLink()) return { path: p, kind: "symlink", target: fs.readlinkSync(p) };
+  return { path: p, kind: "file", content: fs.readFileSync(p), mode: st.mode & 0o777 };
+}
+
+function samePathState(a, b) {
+  if (a.kind !== b.kind) return false;
+  if (a.kind === "symlink") return a.target === b.target;
+  if (a.kind === "file") return a.mode === b.mode && a.content.equals(b.content);
+  return true;
+}
+
+// `dirs` and their ancestors that don't exist yet, deepest first.
+function missingDirs(dirs) {
+  const missing = new Set();
+  for (const dir of dirs) {
+    for (let d = dir; !exists(d) && d !== path.dirname(d); d = path.dirname(d)) missing.add(d);
+  }
+  return [...missing].sort((a, b) => b.length - a.length);
+}
+
+function beginInstallTransaction({ service, paths, authDir }) {
+  const authFiles = realExists(authDir)
+    ? fs.readdirSync(authDir).filter((n) => n.endsWith(".json")).map((n) => path.join(authDir, n))
+    : [];
+  const tracked = [...new Set([...paths, ...service.unitFiles, ...authFiles])];
+  installTransaction = {
+    service,
+    hadUnits: exists(service.proxyUnitFile),
+    snapshots: tracked.map(snapshotPath),
+    // Auth files the run syncs for the first time aren't known up front, so whatever
+    // new shows up in authDir is removed on rollback, along with directories it created.
+    authDir,
+    authFiles: new Set(authFiles),
+    createdDirs: missingDirs([...tracked.map((p) => path.dirname(p)), authDir]),
+  };
+}
+
+function commitInstallTransaction() {
+  installTransaction = null;
+}
+
+// Synchronous on purpose: it runs from fail(), right before process.exit().
+function rollbackInstall(tx) {
+  warn(`${activeCommand} failed; restoring the previous state...`);
+  tx.service.unload();
+  for (const before of tx.snapshots) {
+    const now = snapshotPath(before.path);
+    if (samePathState(before, now)) continue;
+    try {
+      if (now.kind !== "missing") fs.rmSync(before.path, { force: true });
+      if (before.kind === "symlink") {
+        ensureDir(path.dirname(before.path));
+        fs.symlinkSync(before.target, before.path);
+      } else if (before.kind === "file") {
+        writeFileAtomic(before.path, before.content, before.mode);
+      }
+      warn(before.kind === "missing" ? `rolled back: removed ${before.path}` : `rolled back: restored ${before.path}`);
+    } catch (e) {
+      warn(`could not restore ${before.path}: ${e.message}`);
+    }
+  }
+  const newAuthFiles = realExists(tx.authDir)
+    ? fs.readdirSync(tx.authDir).filter((n) => n.endsWith(".json")).map((n) => path.join(tx.authDir, n)).filter((p) => !tx.authFiles.has(p))
+    : [];
+  for (const p of newAuthFiles) {
+    fs.rmSync(p, { force: true });
+    warn(`rolled back: removed ${p}`);
+  }
+  for (const d of tx.createdDirs) {
+    try {
+      fs.rmdirSync(d);
+    } catch {
+      // Not empty (cached releases, backups, logs) or already gone: leave it.
+    }
+  }
+  if (tx.hadUnits) {
+    tx.service.reload();
+    warn(`rolled back: restarted the previous ${tx.service.kind} jobs`);
+  } else {
+    tx.service.removeUnits();
+  }
+  warn("previous state restored");
+}
+
+// Claude Code settings file for a scope: user-wide, or the current repo's shared
+// (.claude/settings.json) or personal (.claude/settings.local.json) settings.
+function getClaudeSettingsPath({ scope = "user", cwd = process.cwd() } = {}) {
+  if (scope === "user") return layout.claudeSettingsPath;
+  return path.join(getProjectRoot(cwd), ".claude", scope === "local" ? "settings.local.json" : "settings.json");
+}
+
+// Git top-level of `cwd` (what Claude Code treats as the project), else `cwd` itself.
+function getProjectRoot(cwd) {
+  const r = run("git", ["rev-parse", "--show-toplevel"], { cwd, allowFail: true });
+  const top = r.status === 0 ? String(r.stdout || "").trim() : "";
+  return top || path.resolve(cwd);
+}
+
+function settingsScopeOf(claudeSettingsPath) {
+  if (path.resolve(claudeSettingsPath) === getClaudeSettingsPath()) return "user";
+  return path.basename(claudeSettingsPath) === "settings.local.json" ? "local" : "project";
+}
+
+// proxyDir itself is kept: config.yaml is merged rather than rewritten and auth
+// files the user added to auths/ stay in place.
+function cleanExistingInstall({ service, proxyDir, claudeSettingsPath }) {
+  const hasInstallArtifacts = exists(proxyDir) || service.unitFiles.some((p) => exists(p));
+  if (!hasInstallArtifacts) return false;
+
+  log("Existing install detected; cleaning up before reinstall...");
+  service.unload();
+  service.removeUnits();
+  // Restore the original settings so the re-install records them (not its own
+  // previous values) in the manifest.
+  cleanupClaudeSettings({ claudeSettingsPath, manifestPath: layout.manifestPath });
+  return true;
+}
+
+function getUsername() {
+  // Prefer $USER for consistency with LaunchAgent labels.
+  if (process.env.USER && process.env.USER.trim()) return process.env.USER.trim();
+  return os.userInfo().username;
+}
+
+function getUid() {
+  const r = run("id", ["-u"]);
+  return Number(String(r.stdout || "").trim());
+}
+
+function commandExists(cmd) {
+  const r = run("/bin/sh", ["-c", `command -v ${cmd}`], { allowFail: true });
+  return r.status === 0;
+}
+
+function launchctlBootout(uid, label) {
+  run("launchctl", ["bootout", `gui/${uid}/${label}`], { allowFail: true, mutating: true });
+}
+
+function launchctlBootstrap(uid, plistPath) {
+  run("launchctl", ["bootstrap", `gui/${uid}`, plistPath], { allowFail: true, mutating: true });
+}
+
+function launchctlKickstart(uid, label) {
+  run("launchctl", ["kickstart", "-k", `gui/${uid}/${label}`], { allowFail: true, mutating: true });
+}
+
+function launchctlPrint(uid, label) {
+  const r = run("launchctl", ["print", `gui/${uid}/${label}`], { allowFail: true });
+  return r.status === 0;
+}
+
+function systemctlUser(args) {
+  return run("systemctl", ["--user", ...args], { allowFail: true, mutating: args[0] !== "is-active" });
+}
+
+function systemctlIsActive(unit) {
+  const r = systemctlUser(["is-active", unit]);
+  return String(r.stdout || "").trim() || "unknown";
+}
+
+function launchdService({ homeDir, launchAgentsDir, username }) {
+  const labelProxy = `com.${username}.cli-proxy-api`;
+  const labelSync = `com.${username}.cli-proxy-api-token-sync`;
+  const labelRefresh = `com.${username}.cli-proxy-api-token-refresh`;
+  const plistProxy = path.join(launchAgentsDir, `${labelProxy}.plist`);
+  const plistSync = path.join(launchAgentsDir, `${labelSync}.plist`);
+  const plistRefresh = path.join(launchAgentsDir, `${labelRefresh}.plist`);
+  let uid = null;
+  const getUidOnce = () => {
+    if (uid == null) uid = getUid();
+    return uid;
+  };
+
+  return {
+    kind: "launchd",
+    tool: "launchctl",
+    proxyUnitFile: plistProxy,
+    unitFiles: [plistProxy, plistSync, plistRefresh],
+    writeUnits({ proxyBin, configFile, syncCommand, refreshCommand, watchPaths, proxyLog, tokenSyncLog }) {
+      writeFileAtomic(plistSync, buildPlistSync({ labelSync, syncCommand, watchPaths, tokenSyncLog }), 0o644);
+      writeFileAtomic(plistRefresh, buildPlistRefresh({ labelRefresh, refreshCommand, tokenSyncLog }), 0o644);
+      writeFileAtomic(plistProxy, buildPlistProxy({ labelProxy, proxyBin, configFile, homeDir, proxyLog }), 0o644);
+    },
+    reload() {
+      launchctlBootout(getUidOnce(), labelProxy);
+      launchctlBootout(getUidOnce(), labelSync);
+      launchctlBootout(getUidOnce(), labelRefresh);
+      launchctlBootstrap(getUidOnce(), plistSync);
+      launchctlBootstrap(getUidOnce(), plistRefresh);
+      launchctlBootstrap(getUidOnce(), plistProxy);
+      launchctlKickstart(getUidOnce(), labelSync);
+      launchctlKickstart(getUidOnce(), labelProxy);
+    },
+    reloadTokenSync() {
+      launchctlBootout(getUidOnce(), labelSync);
+      launchctlBootstrap(getUidOnce(), plistSync);
+      launchctlKickstart(getUidOnce(), labelSync);
+      if (exists(plistRefresh)) {
+        launchctlBootout(getUidOnce(), labelRefresh);
+        launchctlBootstrap(getUidOnce(), plistRefresh);
+      }
+    },
+    start() {
+      if (exists(plistSync)) {
+        launchctlBootstrap(getUidOnce(), plistSync);
+        launchctlKickstart(getUidOnce(), labelSync);
+      }
+      if (exists(plistRefresh)) launchctlBootstrap(getUidOnce(), plistRefresh);
+      launchctlBootstrap(getUidOnce(), plistProxy);
+      launchctlKickstart(getUidOnce(), labelProxy);
+    },
+    stop() {
+      launchctlBootout(getUidOnce(), labelProxy);
+      launchctlBootout(getUidOnce(), labelSync);
+      launchctlBootout(getUidOnce(), labelRefresh);
+    },
+    unload() {
+      launchctlBootout(getUidOnce(), labelProxy);
+      launchctlBootout(getUidOnce(), labelSync);
+      launchctlBootout(getUidOnce(), labelRefresh);
+    },
+    removeUnits() {
+      removePath(plistProxy);
+      removePath(plistSync);
+      removePath(plistRefresh);
+    },
+    jobStates() {
+      const loaded = (label) => (launchctlPrint(getUidOnce(), label) ? "loaded" : "not loaded");
+      return [
+        { name: "proxy", unit: labelProxy, state: loaded(labelProxy) },
+        { name: "token-sync", unit: labelSync, state: loaded(labelSync) },
+        // Listed only when installed: installs made before the refresh job don't have it.
+        ...(exists(plistRefresh) ? [{ name: "token-refresh", unit: labelRefresh, state: loaded(labelRefresh) }] : []),
+      ];
+    },
+    tokenJobInterpreters() {
+      return [plistSync, plistRefresh].filter(exists).map((p) => {
+        const m = readText(p).match(/<key>ProgramArguments<\/key>\s*<array>\s*<string>([^<]*)<\/string>/);
+        return m && xmlUnescape(m[1]);
+      }).filter(Boolean);
+    },
+  };
+}
+
+function systemdService({ homeDir, unitDir }) {
+  const proxyUnit = "cli-proxy-api.service";
+  const syncUnit = "cli-proxy-api-token-sync.service";
+  const syncPathUnit = "cli-proxy-api-token-sync.path";
+  const refreshUnit = "cli-proxy-api-token-refresh.service";
+  const refreshTimerUnit = "cli-proxy-api-token-refresh.timer";
+  const proxyUnitFile = path.join(unitDir, proxyUnit);
+  const syncUnitFile = path.join(unitDir, syncUnit);
+  const syncPathUnitFile = path.join(unitDir, syncPathUnit);
+  const refreshUnitFile = path.join(unitDir, refreshUnit);
+  const refreshTimerUnitFile = path.join(unitDir, refreshTimerUnit);
+
+  return {
+    kind: "systemd",
+    tool: "systemd",
+    proxyUnitFile,
+    unitFiles: [proxyUnitFile, syncUnitFile, syncPathUnitFile, refreshUnitFile, refreshTimerUnitFile],
+    writeUnits({ proxyBin, configFile, syncCommand, refreshCommand, watchPaths, proxyLog, tokenSyncLog }) {
+      writeFileAtomic(syncUnitFile, buildSystemdSyncService({ syncCommand, tokenSyncLog }), 0o644);
+      writeFileAtomic(syncPathUnitFile, buildSystemdSyncPath({ syncUnit, watchPaths }), 0o644);
+      writeFileAtomic(refreshUnitFile, buildSystemdRefreshService({ refreshCommand, tokenSyncLog }), 0o644);
+      writeFileAtomic(refreshTimerUnitFile, buildSystemdRefreshTimer({ refreshUnit }), 0o644);
+      writeFileAtomic(proxyUnitFile, buildSystemdProxyService({ proxyBin, configFile, homeDir, proxyLog }), 0o644);
+    },
+    reload() {
+      systemctlUser(["daemon-reload"]);
+      systemctlUser(["enable", syncPathUnit, refreshTimerUnit, proxyUnit]);
+      systemctlUser(["restart", syncPathUnit, refreshTimerUnit]);
+      systemctlUser(["start", syncUnit]);
+      systemctlUser(["restart", proxyUnit]);
+    },
+    reloadTokenSync() {
+      systemctlUser(["daemon-reload"]);
+      systemctlUser(["restart", syncPathUnit]);
+      systemctlUser(["start", syncUnit]);
+    },
+    start() {
+      systemctlUser(["daemon-reload"]);
+      if (exists(syncPathUnitFile)) {
+        systemctlUser(["start", syncPathUnit]);
+        systemctlUser(["start", syncUnit]);
+      }
+      if (exists(refreshTimerUnitFile)) systemctlUser(["start", refreshTimerUnit]);
+      systemctlUser(["restart", proxyUnit]);
+    },
+    stop() {
+      systemctlUser(["stop", proxyUnit, syncPathUnit, syncUnit, refreshTimerUnit, refreshUnit]);
+    },
+    unload() {
+      systemctlUser(["disable", "--now", proxyUnit, syncPathUnit, refreshTimerUnit]);
+      systemctlUser(["stop", syncUnit, refreshUnit]);
+    },
+    removeUnits() {
+      for (const p of [proxyUnitFile, syncUnitFile, syncPathUnitFile, refreshUnitFile, refreshTimerUnitFile]) {
+        removePath(p);
+      }
+      systemctlUser(["daemon-reload"]);
+    },
+    jobStates() {
+      return [
+        { name: "proxy", unit: proxyUnit, state: systemctlIsActive(proxyUnit) },
+        { name: "token-sync", unit: syncPathUnit, state: systemctlIsActive(syncPathUnit) },
+        ...(exists(refreshTimerUnitFile) ? [{ name: "token-refresh", unit: refreshTimerUnit, state: systemctlIsActive(refreshTimerUnit) }] : []),
+      ];
+    },
+    tokenJobInterpreters() {
+      return [syncUnitFile, refreshUnitFile].filter(exists).map((p) => {
+        const m = readText(p).match(/^ExecStart="((?:[^"\\]|\\.)*)"/m);
+        return m && m[1].replace(/\\(.)/g, "$1");
+      }).filter(Boolean);
+    },
+  };
+}
+
+function getServiceBackend() {
+  const { homeDir } = layout;
+  if (process.platform === "darwin") {
+    return launchdService({ homeDir, launchAgentsDir: layout.launchAgentsDir, username: getUsername() });
+  }
+  if (process.platform === "linux") return systemdService({ homeDir, unitDir: layout.systemdUnitDir });
+  return null;
+}
+
+function requireServiceBackend() {
+  const service = getServiceBackend();
+  if (!service) fail(`unsupported platform: ${process.platform} (macOS LaunchAgents or Linux systemd --user required)`);
+  if (service.kind === "systemd" && !commandExists("systemctl")) {
+    fail("systemctl not found (Linux install requires systemd --user)");
+  }
+  return service;
+}
+
+async function waitForHealthy(port, msTotal = 8000) {
+  const started = Date.now();
+  while (Date.now() - started < msTotal) {
+    if (await proxyHealthcheck(port)) return true;
+    await sleep(250);
+  }
+  return false;
+}
+
+function pipeLines(stream, prefix, out) {
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  rl.on("line", (line) => out.write(`[${prefix}] ${line}\n`));
+}
+
+// Re-sync whenever auth.json changes. Watch the parent directory because Codex CLI
+// replaces the file atomically, which would orphan a watcher on the file itself.
+function watchCodexAuth({ codexAuth, onChange }) {
+  let timer = null;
+  const watcher = fs.watch(path.dirname(codexAuth), (_event, filename) => {
+    if (filename && filename !== path.basename(codexAuth)) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 500);
+  });
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+// Foreground replacement for the KeepAlive LaunchAgent / Restart=always unit:
+// restarts the proxy with exponential backoff, reset after a stable run.
+function superviseProxy({ proxyBin, configFile, homeDir, minBackoffMs = 1000, maxBackoffMs = 30000 }) {
+  let child = null;
+  let stopping = false;
+  let restartTimer = null;
+  let backoffMs = minBackoffMs;
+  let onStopped = null;
+
+  const startChild = () => {
+    const startedAt = Date.now();
+    let gone = false;
+    const proc = spawn(proxyBin, ["--config", configFile], { cwd: homeDir, stdio: ["ignore", "pipe", "pipe"] });
+    child = proc;
+    pipeLines(proc.stdout, "proxy", process.stdout);
+    pipeLines(proc.stderr, "proxy", process.stdout);
+
+    const onGone = (reason) => {
+      if (gone) return;
+      gone = true;
+      child = null;
+      if (stopping) {
+        onStopped?.();
+        return;
+      }
+      if (Date.now() - startedAt > maxBackoffMs) backoffMs = minBackoffMs;
+      warn(`proxy ${reason}; restarting in ${backoffMs}ms`);
+      restartTimer = setTimeout(startChild, backoffMs);
+      backoffMs = Math.min(backoffMs * 2, maxBackoffMs);
+    };
+    proc.once("error", (e) => onGone(`failed to start (${e.message})`));
+    proc.once("exit", (code, signal) => onGone(`exited (code=${code}, signal=${signal})`));
+  };
+
+  startChild();
+
+  return {
+    stop(signal = "SIGTERM", graceMs = 10000) {
+      stopping = true;
+      clearTimeout(restartTimer);
+      if (!child) return Promise.resolve();
+      const proc = child;
+      return new Promise((resolve) => {
+        const killTimer = setTimeout(() => proc.kill("SIGKILL"), graceMs);
+        onStopped = () => {
+          clearTimeout(killTimer);
+          resolve();
+        };
+        proc.kill(signal);
+      });
+    },
+  };
+}
+
+async function installFlow(opts) {
+  const service = requireServiceBackend();
+
+  const {
+    proxyDir,
+    authDir,
+    configFile,
+    cliCopyPath,
+    proxyBin,
+    proxyLog,
+    keyFile,
+    helperPath,
+    managementKeyFile,
+    codexAuth,
+    toolConfigPath,
+  } = layout;
+  const scope = opts.scope ?? "user";
+  const claudeSettingsPath = getClaudeSettingsPath({ scope });
+  const apiKeyHelper = opts.apiKeyHelper || usesApiKeyHelper(claudeSettingsPath, helperPath) ? helperPath : null;
+
+  const tiers = resolveTiers({ toolConfig: readToolConfig(toolConfigPath), overrides: opts.tiers });
+
+  // Compute port before cleaning, so re-running install keeps existing config-based port.
+  const port = await resolveProxyPort({ configFile });
+
+  if (!exists(codexAuth)) {
+    fail(`missing ${codexAuth} (Codex CLI login required)`);
+  }
+
+  if (!plan) {
+    beginInstallTransaction({
+      service,
+      authDir,
+      paths: [
+        configFile,
+        cliCopyPath,
+        proxyBin,
+        layout.manifestPath,
+        keyFile,
+        helperPath,
+        managementKeyFile,
+        claudeSettingsPath,
+        toolConfigPath,
+      ],
+    });
+  }
+
+  cleanExistingInstall({
+    service,
+    proxyDir,
+    claudeSettingsPath,
+  });
+
+  ensureDir(proxyDir);
+  ensureDir(authDir);
+  ensureDir(path.dirname(proxyBin));
+  ensureDir(path.dirname(service.proxyUnitFile));
+
+  await installCliProxyApiBinary({
+    proxyBin,
+    cacheDir: layout.cacheDir,
+    version: opts.cliProxyApiVersion,
+    tarball: opts.cliProxyApiTarball,
+    mirror: opts.cliProxyApiMirror ?? process.env.CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR ?? null,
+  });
+
+  const apiKey = ensureProxyApiKey(keyFile);
+  if (apiKeyHelper) writeApiKeyHelper({ helperPath, keyFile });
+  const managementKey = ensureManagementKey(managementKeyFile, opts.usageStats);
+  const generated = proxyConfigYaml({ port, tiers, apiKey, authDir, managementKey });
+  // config.yaml holds the proxy API key (and the management secret), so it is 0600 like
+  // the key files; the rename also tightens configs written 0644 by older versions.
+  if (exists(configFile)) {
+    log("Updating config (keeping your own settings)...");
+    writeFileAtomic(configFile, mergeProxyConfigYaml(readText(configFile), generated), 0o600);
+  } else {
+    log("Writing config...");
+    writeFileAtomic(configFile, generated, 0o600);
+  }
+  installCliCopy({ cliCopyPath });
+
+  log("Syncing token once...");
+  for (const f of syncAllAccounts(tokenSyncTargets())) {
+    if (f.name === DEFAULT_ACCOUNT) fail(f.message, f.code);
+    warn(`account ${f.name}: ${f.message}`);
+  }
+
+  log(`Writing ${service.kind} units...`);
+  writeServiceUnits({ service, tokenUrl: resolveTokenUrl(opts) });
+
+  log(`Reloading ${service.kind} units...`);
+  service.reload();
+
+  if (plan) {
+    log(`Skipping health check and tier verification (nothing is running in a dry run; port ${port})`);
+  } else {
+    const healthy = await waitForHealthy(port, 10000);
+    if (!healthy) fail(`proxy did not become healthy (check ${proxyLog})`);
+  }
+
+  log("Updating Claude Code settings...");
+  updateClaudeSettings({
+    claudeSettingsPath,
+    port,
+    tiers,
+    manifestPath: layout.manifestPath,
+    apiKey,
+    apiKeyHelper,
+  });
+
+  if (!plan) {
+    log("Verifying tier reasoning.effort mapping (opus/sonnet/haiku) ...");
+    for (const name of TIER_NAMES) {
+      const t = tiers[name];
+      const ok = await verifyReasoningEffort(port, t.selector, t.effort);
+      if (!ok) fail(`expected ${name} reasoning.effort=${t.effort} but verification failed`);
+    }
+  }
+  saveTierOverrides({ toolConfigPath, overrides: opts.tiers });
+  saveLayoutPaths({ toolConfigPath });
+  saveTokenUrl({ toolConfigPath, tokenUrl: opts.tokenUrl });
+  if (plan) return;
+  commitInstallTransaction();
+
+  log("");
+  log("All done.");
+  log(`- Proxy: http://127.0.0.1:${port}`);
+  log(`- Config: ${configFile}`);
+  log(`- Claude settings (${scope} scope): ${claudeSettingsPath}`);
+  log("- Next: run 'claude'");
+}
+
+// Version of this package, or null for the CLI copy the service jobs run (no
+// package.json next to it).
+function getPackageVersion() {
+  const pkg = readJsonFile(path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "package.json"));
+  return pkg?.name === "codex-claudecode-proxy" && typeof pkg.version === "string" ? pkg.version : null;
+}
+
+async function checkPackageUpdate() {
+  const registry = (process.env.npm_config_registry || "https://registry.npmjs.org").replace(/\/+$/, "");
+  const current = getPackageVersion();
+  const latest = String((await fetchJson(`${registry}/codex-claudecode-proxy/latest`)).version || "") || null;
+  return { current, latest, newer: Boolean(current && latest && compareSemver(latest, current) > 0) };
+}
+
+async function checkCliProxyApiUpdate({ proxyBin, mirror }) {
+  const current = getCliProxyApiVersion(proxyBin);
+  const rel = await fetchJson(`${(mirror || CLI_PROXY_API_RELEASES_URL).replace(/\/+$/, "")}/latest`);
+  const latest = String(rel.tag_name || "").replace(/^v/, "") || null;
+  return { current, latest, newer: Boolean(latest && (!current || compareSemver(latest, current) > 0)) };
+}
+
+async function updateFlow(opts) {
+  const { configFile, cliCopyPath, proxyBin, proxyLog } = layout;
+  const mirror = opts.cliProxyApiMirror ?? process.env.CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR ?? null;
+
+  log("Checking for updates...");
+  let pkg = null;
+  try {
+    pkg = await checkPackageUpdate();
+    log(pkg.newer
+      ? `codex-claudecode-proxy: v${pkg.current} -> v${pkg.latest} available (run: npx -y codex-claudecode-proxy@latest update)`
+      : `codex-claudecode-proxy: ${pkg.current ? `v${pkg.current}` : "unknown version"} (latest v${pkg.latest})`);
+  } catch (e) {
+    warn(`could not check the npm registry: ${e.message}`);
+  }
+  // Unlike the npm check this one decides what update does, so an unknown answer is
+  // an error rather than "up to date".
+  let cpa;
+  try {
+    cpa = await checkCliProxyApiUpdate({ proxyBin, mirror });
+  } catch (e) {
+    fail(`could not check CLIProxyAPI releases: ${e.message}${opts.check ? "" : " (nothing updated)"}`);
+  }
+  log(cpa.newer
+    ? `CLIProxyAPI: ${cpa.current ? `v${cpa.current}` : "not installed"} -> v${cpa.latest} available`
+    : `CLIProxyAPI: v${cpa.current} is up to date`);
+  if (opts.check) return;
+
+  const service = requireServiceBackend();
+  if (!exists(service.proxyUnitFile)) fail(`missing ${service.kind} unit: ${service.proxyUnitFile} (run install first)`);
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  const tiers = resolveTiers({ toolConfig: readToolConfig(layout.toolConfigPath), overrides: {} });
+  // Read before anything changes, so a bad fixtures file can't cost a restart.
+  const replay = opts.replay ? readReplayFixtures(opts.replay) : null;
+
+  if (!cpa.newer) {
+    // Nothing to swap in: refresh the job's CLI copy but leave the proxy (and the
+    // sessions using it) running.
+    installCliCopy({ cliCopyPath });
+    log(`update completed (CLIProxyAPI v${getCliProxyApiVersion(proxyBin) ?? "unknown"}, proxy not restarted)`);
+    return;
+  }
+
+  // Same rollback as install: a release that fails the checks is swapped back out.
+  beginInstallTransaction({ service, authDir: layout.authDir, paths: [proxyBin, cliCopyPath] });
+  await installCliProxyApiBinary({ proxyBin, cacheDir: layout.cacheDir, version: cpa.latest, mirror });
+  installCliCopy({ cliCopyPath });
+
+  log("Restarting proxy...");
+  service.start();
+  if (!await waitForHealthy(port, 10000)) fail(`proxy did not become healthy (check ${proxyLog})`);
+
+  log("Verifying tier reasoning.effort mapping (opus/sonnet/haiku) ...");
+  for (const name of TIER_NAMES) {
+    const t = tiers[name];
+    if (!await verifyReasoningEffort(port, t.selector, t.effort)) {
+      fail(`expected ${name} reasoning.effort=${t.effort} but verification failed`);
+    }
+  }
+  if (replay) {
+    log(`Replaying ${replay.fixtures.length} recorded request(s)...`);
+    const regressions = (await replayFixtures(port, replay.fixtures)).filter((r) => !r.ok);
+    for (const r of regressions) warn([`#${r.id} ${r.model} regressed:`, ...formatReplayDiffs(r)].join("\n"));
+    if (regressions.length > 0) fail(`replay found regressions in ${regressions.length} of ${replay.fixtures.length} request(s)`);
+  }
+  commitInstallTransaction();
+  log(`update completed (CLIProxyAPI v${getCliProxyApiVersion(proxyBin) ?? "unknown"})`);
+}
+
+// Claude settings files (user scope plus every scope install changed) pointing at the proxy.
+function proxySettingsFiles(port) {
+  const paths = new Set([getClaudeSettingsPath(), ...Object.keys(readInstallManifest(layout.manifestPath).settings)]);
+  return [...paths].filter((p) => exists(p) && readJsonFile(p)?.env?.ANTHROPIC_BASE_URL === `http://127.0.0.1:${port}`);
+}
+
+async function rotateKeyFlow() {
+  const { configFile, keyFile, helperPath, manifestPath } = layout;
+  if (!exists(configFile)) fail(`missing ${configFile} (run install first)`);
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+
+  const apiKey = generateProxyApiKey();
+  writeFileAtomic(keyFile, `${apiKey}\n`, 0o600, { sensitive: true });
+  writeFileAtomic(configFile, mergeProxyConfigYaml(readText(configFile), apiKeysYaml(apiKey)), 0o600);
+  log(`Rotated the proxy API key (${configFile})`);
+
+  for (const p of proxySettingsFiles(port)) {
+    const json = readJsonFile(p);
+    // The helper reads the key file, so these settings pick the new key up by themselves.
+    if (json.apiKeyHelper === helperPath) {
+      log(`${p} uses ${helperPath}; nothing to update`);
+      continue;
+    }
+    backupFile(p);
+    const envBefore = { ...json.env };
+    json.env.ANTHROPIC_AUTH_TOKEN = apiKey;
+    recordSettingsChanges({ manifestPath, claudeSettingsPath: p, envBefore, envAfter: json.env });
+    writeFileAtomic(p, `${JSON.stringify(json, null, 2)}\n`, 0o600);
+    log(`Updated ANTHROPIC_AUTH_TOKEN in ${p}`);
+  }
+
+  const service = getServiceBackend();
+  if (!service || !exists(service.proxyUnitFile)) {
+    log("Restart the proxy to use the new key (e.g. stop and re-run 'codex-claudecode-proxy run')");
+    return;
+  }
+  log("Restarting proxy...");
+  service.start();
+  if (!await waitForHealthy(port, 10000)) fail(`proxy did not become healthy (check ${layout.proxyLog})`);
+  log("proxy healthy with the new key");
+}
+
+const VERIFY_CHECKS = [
+  ["message", "MESSAGE"],
+  ["stream", "STREAM"],
+  ["toolUse", "TOOL_USE"],
+  ["effort", "EFFORT"],
+];
+
+function formatLatency(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+async function verifyFlow(opts) {
+  const { configFile } = layout;
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  const tiers = resolveTiers({ toolConfig: readToolConfig(layout.toolConfigPath), overrides: {} });
+
+  if (!await proxyHealthcheck(port)) fail(`proxy is not running on port ${port} (run start)`);
+
+  const results = [];
+  for (const name of TIER_NAMES) {
+    const t = tiers[name];
+    if (!opts.json) log(`Verifying ${name} (${t.selector})...`);
+    const checks = {
+      message: await timedCheck(() => verifyMessage(port, t.selector)),
+      stream: await timedCheck(() => verifyMessageStream(port, t.selector)),
+      toolUse: await timedCheck(() => verifyToolUse(port, t.selector)),
+      effort: await timedCheck(async () => {
+        const effort = await probeReasoningEffort(port, t.selector);
+        return effort === t.effort ? null : `reasoning.effort=${effort}, expected ${t.effort}`;
+      }),
+    };
+    results.push({ tier: name, model: t.selector, ok: Object.values(checks).every((c) => c.ok), checks });
+  }
+  const ok = results.every((r) => r.ok);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ port, ok, tiers: results }, null, 2));
+    if (!ok) process.exit(1);
+    return;
+  }
+
+  const cell = (c) => `${c.ok ? "ok" : "FAIL"} ${formatLatency(c.ms)}`;
+  const modelWidth = Math.max(5, ...results.map((r) => r.model.length));
+  log(`${"TIER".padEnd(7)} ${"MODEL".padEnd(modelWidth)}  ${VERIFY_CHECKS.map(([, h]) => h.padEnd(11)).join(" ")}`);
+  for (const r of results) {
+    log(`${r.tier.padEnd(7)} ${r.model.padEnd(modelWidth)}  ${VERIFY_CHECKS.map(([k]) => cell(r.checks[k]).padEnd(11)).join(" ")}`);
+  }
+  for (const r of results) {
+    for (const [k, h] of VERIFY_CHECKS) {
+      if (!r.checks[k].ok) warn(`${r.tier} ${h.toLowerCase()}: ${r.checks[k].error}`);
+    }
+  }
+  if (!ok) fail(`verification failed for: ${results.filter((r) => !r.ok).map((r) => r.tier).join(", ")}`);
+  log("all tiers passed");
+}
+
+// The variables install writes to Claude settings, for one shell or process instead
+// (see env and exec). Keys set to null must be unset.
+function sessionEnv({ port, tiers, apiKey }) {
+  return {
+    ANTHROPIC_BASE_URL: `http://127.0.0.1:${port}`,
+    ANTHROPIC_AUTH_TOKEN: apiKey,
+    // A real Anthropic key would be sent alongside the proxy key and win.
+    ANTHROPIC_API_KEY: null,
+    ...Object.fromEntries(PROXY_ENV_UNSET_KEYS.map((k) => [k, null])),
+    ANTHROPIC_DEFAULT_OPUS_MODEL: tiers.opus.selector,
+    ANTHROPIC_DEFAULT_SONNET_MODEL: tiers.sonnet.selector,
+    ANTHROPIC_DEFAULT_HAIKU_MODEL: tiers.haiku.selector,
+    ...Object.fromEntries(Object.entries(PROXY_ENV_MIN_INTS).map(([k, v]) => [k, String(v)])),
+    ...PROXY_ENV_DEFAULTS,
+  };
+}
+
+function readSessionEnv(opts) {
+  const { configFile, keyFile, toolConfigPath } = layout;
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  const tiers = resolveTiers({ toolConfig: readToolConfig(toolConfigPath), overrides: opts.tiers });
+  return { port, env: sessionEnv({ port, tiers, apiKey: readKeyFile(keyFile) ?? LEGACY_PROXY_TOKEN }) };
+}
+
+function shellQuote(s) {
+  return `'${s.replace(/'/g, "'\\''")}'`;
+}
+
+function formatEnv(env, shell) {
+  return Object.entries(env).flatMap(([k, v]) => {
+    if (shell === "fish") return v == null ? [`set -e ${k}`] : [`set -gx ${k} '${v.replace(/[\\']/g, "\\$&")}'`];
+    if (shell === "dotenv") return v == null ? [] : [`${k}=${JSON.stringify(v)}`];
+    return v == null ? [`unset ${k}`] : [`export ${k}=${shellQuote(v)}`];
+  }).join("\n");
+}
+
+async function envFlow(opts) {
+  const loginShell = path.basename(process.env.SHELL || "");
+  const shell = opts.shell ?? (ENV_SHELLS.includes(loginShell) ? loginShell : "bash");
+  const { env } = readSessionEnv(opts);
+  console.log(formatEnv(env, shell));
+}
+
+async function execFlow(opts) {
+  if (opts.args.length === 0) fail("usage: exec -- <command> [args...]");
+  const { port, env } = readSessionEnv(opts);
+
+  if (!await proxyHealthcheck(port)) {
+    const service = getServiceBackend();
+    if (!service || !exists(service.proxyUnitFile)) {
+      fail(`proxy is not running on port ${port} and no service is installed (run install, or run in another terminal)`);
+    }
+    log("Starting proxy...");
+    service.start();
+    if (!await waitForHealthy(port, 10000)) fail(`proxy did not become healthy (check ${layout.proxyLog})`);
+  }
+
+  const childEnv = { ...process.env };
+  for (const [k, v] of Object.entries(env)) {
+    if (v == null) delete childEnv[k];
+    else childEnv[k] = v;
+  }
+  const [cmd, ...args] = opts.args;
+  const child = spawn(cmd, args, { stdio: "inherit", env: childEnv });
+  // The terminal already sends Ctrl-C to the whole process group, so the child gets it
+  // once and decides what it means; the parent just must not die of it. SIGTERM/SIGHUP
+  // are sent to this process alone and are passed on.
+  process.on("SIGINT", () => {});
+  const forward = (signal) => child.kill(signal);
+  for (const sig of ["SIGTERM", "SIGHUP"]) process.on(sig, forward);
+  const code = await new Promise((resolve) => {
+    child.once("error", (e) => fail(`failed to run ${cmd}: ${e.message}`, 127));
+    child.once("exit", (c, signal) => resolve(c ?? 128 + (os.constants.signals[signal] ?? 0)));
+  });
+  process.exit(code);
+}
+
+// Headers whose values are credentials; trace records them as "[redacted]" and also
+// scrubs their values wherever else they show up.
+const TRACE_SECRET_HEADERS = new Set(["authorization", "x-api-key", "proxy-authorization", "cookie", "set-cookie"]);
+// Credential fields of a JSON body itself (token responses and the like). Only the top
+// level counts: deeper down, keys such as "password" are tool schemas and tool inputs that
+// replay needs verbatim.
+const TRACE_CREDENTIAL_FIELDS = new Set(["access_token", "refresh_token", "id_token", "api_key"]);
+const REDACTED = "[redacted]";
+
+function redactSecrets(value, secrets) {
+  if (typeof value === "string") {
+    let out = value;
+    for (const secret of secrets) out = out.split(secret).join(REDACTED);
+    return out;
+  }
+  if (Array.isArray(value)) return value.map((v) => redactSecrets(v, secrets));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, secrets)]));
+  }
+  return value;
+}
+
+function redactCredentialFields(body, secrets) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+  const out = { ...body };
+  for (const k of Object.keys(out)) {
+    if (!TRACE_CREDENTIAL_FIELDS.has(k)) continue;
+    if (typeof out[k] === "string" && out[k].length >= 8) secrets.add(out[k]);
+    out[k] = REDACTED;
+  }
+  return out;
+}
+
+function redactHeaders(headers, secrets) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (!TRACE_SECRET_HEADERS.has(k)) {
+      out[k] = redactSecrets(v, secrets);
+      continue;
+    }
+    for (const one of [v].flat()) {
+      const secret = String(one).replace(/^Bearer\s+/i, "");
+      if (secret.length >= 8) secrets.add(secret);
+    }
+    out[k] = REDACTED;
+  }
+  return out;
+}
+
+function decodeTraceBody(buf, contentType = "") {
+  if (buf.length === 0) return null;
+  const text = buf.toString("utf8");
+  if (!/json/.test(contentType)) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// One JSONL record per request. SSE responses keep their events plus the reassembled message.
+function traceRecord({ id, started, req, reqBody, upRes, resBody, error, secrets }) {
+  const request = {
+    method: req.method,
+    path: req.url,
+    headers: redactHeaders(req.headers, secrets),
+    body: redactCredentialFields(decodeTraceBody(reqBody, req.headers["content-type"]), secrets),
+  };
+  let response = null;
+  if (upRes) {
+    const contentType = upRes.headers["content-type"] ?? "";
+    response = { status: upRes.statusCode, headers: redactHeaders(upRes.headers, secrets) };
+    if (contentType.startsWith("text/event-stream")) {
+      response.events = parseSseEvents(resBody.toString("utf8"));
+      response.message = reassembleMessageStream(response.events);
+    } else {
+      response.body = redactCredentialFields(decodeTraceBody(resBody, contentType), secrets);
+    }
+  }
+  return redactSecrets({
+    id,
+    startedAt: new Date(started).toISOString(),
+    durationMs: Date.now() - started,
+    request,
+    response,
+    error: error ?? null,
+  }, secrets);
+}
+
+// Reverse proxy in front of the real one that streams responses straight through and
+// reports each finished exchange to onRecord.
+function startTraceTap({ upstreamPort, secrets, onRecord }) {
+  let nextId = 1;
+  const server = http.createServer((req, res) => {
+    const id = nextId++;
+    const started = Date.now();
+    const reqChunks = [];
+    req.on("data", (c) => reqChunks.push(c));
+    req.on("end", () => {
+      const reqBody = Buffer.concat(reqChunks);
+      // No compression upstream, so recorded bodies stay readable.
+      const headers = { ...req.headers, host: `127.0.0.1:${upstreamPort}` };
+      delete headers["accept-encoding"];
+      let upRes = null;
+      const resChunks = [];
+      let recorded = false;
+      // Once per exchange, with whatever part of the response arrived.
+      const record = (error) => {
+        if (recorded) return;
+        recorded = true;
+        onRecord(traceRecord({ id, started, req, reqBody, upRes, resBody: Buffer.concat(resChunks), error, secrets }));
+      };
+      const upstream = http.request({ host: "127.0.0.1", port: upstreamPort, method: req.method, path: req.url, headers }, (r) => {
+        upRes = r;
+        res.writeHead(upRes.statusCode, upRes.headers);
+        upRes.on("data", (c) => {
+          resChunks.push(c);
+          res.write(c);
+        });
+        upRes.on("end", () => {
+          res.end();
+          record();
+        });
+        // The proxy reset the response mid-stream: cut the client off the same way.
+        const reset = (e) => {
+          record(`proxy response failed: ${e?.message ?? "aborted"}`);
+          res.destroy();
+        };
+        upRes.on("aborted", reset);
+        upRes.on("error", reset);
+      });
+      upstream.on("error", (e) => {
+        if (recorded) return;
+        record(e.message);
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        res.writeHead(502, { "content-type": "application/json" });
+        res.end(JSON.stringify({ type: "error", error: { type: "api_error", message: `trace: proxy request failed: ${e.message}` } }));
+      });
+      // The client went away (e.g. a cancelled turn): stop the proxy request too.
+      res.on("close", () => {
+        if (res.writableFinished) return;
+        record("client disconnected");
+        upstream.destroy();
+      });
+      upstream.end(reqBody);
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen({ port: 0, host: "127.0.0.1" }, () => resolve(server));
+  });
+}
+
+function setSettingsBaseUrl(p, from, to) {
+  const json = readJsonFile(p);
+  if (json?.env?.ANTHROPIC_BASE_URL !== from) return false;
+  json.env.ANTHROPIC_BASE_URL = to;
+  writeFileAtomic(p, `${JSON.stringify(json, null, 2)}\n`, 0o600);
+  return true;
+}
+
+async function traceFlow(opts) {
+  const [sub, ...rest] = opts.args;
+  if (sub === "show") return traceShowFlow(rest);
+  if (sub) fail("usage: trace | trace show [file]");
+
+  const { configFile, keyFile, tracesDir } = layout;
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  if (!await proxyHealthcheck(port)) fail(`proxy is not running on port ${port} (run start)`);
+
+  ensureDir(tracesDir);
+  const traceFile = path.join(tracesDir, `trace-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`);
+  fs.writeFileSync(traceFile, "", { mode: 0o600 });
+  const secrets = new Set([readKeyFile(keyFile)].filter(Boolean));
+  let count = 0;
+  const server = await startTraceTap({
+    upstreamPort: port,
+    secrets,
+    onRecord: (rec) => {
+      fs.appendFileSync(traceFile, `${JSON.stringify(rec)}\n`);
+      count += 1;
+      log(`#${rec.id} ${rec.request.method} ${rec.request.path} -> ${rec.response?.status ?? rec.error}${rec.response && rec.error ? ` (${rec.error})` : ""}`);
+    },
+  });
+
+  const proxyUrl = `http://127.0.0.1:${port}`;
+  const tapUrl = `http://127.0.0.1:${server.address().port}`;
+  const pointed = proxySettingsFiles(port).filter((p) => setSettingsBaseUrl(p, proxyUrl, tapUrl));
+  for (const p of pointed) log(`Pointed ${p} at the trace proxy (${tapUrl})`);
+  if (pointed.length === 0) log(`No Claude settings point at port ${port}; set ANTHROPIC_BASE_URL=${tapUrl} for the session to trace`);
+  // Restore even when the process ends some other way than the signals below.
+  let restored = false;
+  const restore = () => {
+    if (restored) return;
+    restored = true;
+    for (const p of pointed) {
+      if (setSettingsBaseUrl(p, tapUrl, proxyUrl)) log(`Restored ANTHROPIC_BASE_URL in ${p}`);
+    }
+  };
+  process.once("exit", restore);
+
+  log(`Recording to ${traceFile}; start a new Claude Code session to trace it (Ctrl-C to stop)...`);
+  const signal = await new Promise((resolve) => {
+    for (const sig of ["SIGINT", "SIGTERM", "SIGHUP"]) process.once(sig, resolve);
+  });
+  log(`received ${signal}; stopping trace...`);
+  server.close();
+  server.closeAllConnections?.();
+  restore();
+  log(`trace saved: ${traceFile} (${count} request(s)); view it with 'codex-claudecode-proxy trace show'`);
+}
+
+function describeContentBlock(b) {
+  const clip = (t, n = 200) => (t.length > n ? `${t.slice(0, n)}...` : t).replace(/\n/g, "\\n");
+  switch (b?.type) {
+    case "text":
+      return `text: ${clip(b.text ?? "")}`;
+    case "thinking":
+      return `thinking (${(b.thinking ?? "").length} chars)`;
+    case "tool_use":
+      return `tool_use ${b.name} ${b.partial_json != null ? `(invalid input JSON: ${clip(b.partial_json)})` : JSON.stringify(b.input)}`;
+    case "tool_result": {
+      const text = typeof b.content === "string" ? b.content : JSON.stringify(b.content ?? "");
+      return `tool_result ${b.tool_use_id}${b.is_error ? " (error)" : ""}: ${clip(text)}`;
+    }
+    default:
+      return String(b?.type ?? "unknown block");
+  }
+}
+
+function describeMessageContent(content) {
+  return typeof content === "string" ? [describeContentBlock({ type: "text", text: content })] : (content ?? []).map(describeContentBlock);
+}
+
+function traceShowFlow(args) {
+  const { tracesDir } = layout;
+  if (args.length > 1) fail("usage: trace show [file]");
+  let file = args[0];
+  if (file && !exists(file)) file = path.join(tracesDir, file);
+  if (!file) {
+    const names = exists(tracesDir) ? fs.readdirSync(tracesDir).filter((n) => n.endsWith(".jsonl")).sort() : [];
+    if (names.length === 0) fail(`no traces in ${tracesDir} (run trace)`);
+    file = path.join(tracesDir, names.at(-1));
+  }
+  if (!exists(file)) fail(`trace not found: ${args[0]}`);
+
+  const out = [`trace ${file}`];
+  for (const line of readText(file).split("\n").filter(Boolean)) {
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      out.push("", "(unparseable line)");
+      continue;
+    }
+    const { request: req, response: res } = rec;
+    const stream = res?.events ? " stream" : "";
+    out.push("", `#${rec.id} ${rec.startedAt} ${req.method} ${req.path} -> ${res?.status ?? "no response"} (${formatLatency(rec.durationMs)})${stream}`);
+    const body = req.body && typeof req.body === "object" ? req.body : null;
+    if (body?.model) {
+      const tools = Array.isArray(body.tools) ? `, ${body.tools.length} tool(s)` : "";
+      out.push(`  request: ${body.model}, ${body.messages?.length ?? 0} message(s)${tools}`);
+      const last = body.messages?.at(-1);
+      if (last) for (const d of describeMessageContent(last.content)) out.push(`    ${last.role}: ${d}`);
+    }
+    if (rec.error) out.push(`  error: ${rec.error}`);
+    const message = res?.message ?? (res?.body && typeof res.body === "object" ? res.body : null);
+    if (message?.type === "message") {
+      out.push(`  response: stop_reason=${message.stop_reason ?? "none"}`);
+      for (const d of describeMessageContent(message.content)) out.push(`    assistant: ${d}`);
+    } else if (message?.type === "error") {
+      out.push(`  response: error: ${message.error?.message ?? JSON.stringify(message.error)}`);
+    }
+    if (res?.events) {
+      const streamError = checkMessageStream(res.events);
+      if (streamError) out.push(`  stream: ${streamError}`);
+    }
+  }
+  console.log(out.join("\n"));
+}
+
+// The subset of JSON Schema tool input_schemas use. Returns an error message, or null.
+function validateJsonSchema(value, schema, at = "input") {
+  if (!schema || typeof schema !== "object") return null;
+  const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+  if (schema.type) {
+    const types = [schema.type].flat();
+    const actual = typeOf(value);
+    const ok = types.some((t) => t === actual || (t === "integer" && Number.isInteger(value)));
+    if (!ok) return `${at} is ${actual}, expected ${types.join("|")}`;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    return `${at} is not one of ${JSON.stringify(schema.enum)}`;
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) return `${at}.${key} is required`;
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) {
+        const err = validateJsonSchema(v, sub, `${at}.${key}`);
+        if (err) return err;
+      } else if (schema.additionalProperties === false) {
+        return `${at}.${key} is not allowed`;
+      }
+    }
+  }
+  if (typeOf(value) === "array" && schema.items) {
+    for (const [i, v] of value.entries()) {
+      const err = validateJsonSchema(v, schema.items, `${at}[${i}]`);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+// Structural properties of a Messages response that should survive a CLIProxyAPI upgrade,
+// even though the generated text does not.
+function messageShape({ message, events, tools }) {
+  const content = Array.isArray(message?.content) ? message.content : [];
+  const toolUses = content.filter((b) => b?.type === "tool_use");
+  return {
+    stopReason: message?.stop_reason ?? null,
+    blocks: content.map((b) => b?.type ?? "unknown"),
+    toolUses: toolUses.map((b) => b.name),
+    invalidToolInputs: toolUses.flatMap((b) => {
+      const tool = (tools ?? []).find((t) => t?.name === b.name);
+      if (!tool) return [`${b.name}: not one of the request's tools`];
+      if (b.partial_json != null) return [`${b.name}: input is not valid JSON`];
+      const err = validateJsonSchema(b.input, tool.input_schema);
+      return err ? [`${b.name}: ${err}`] : [];
+    }),
+    streamError: events ? checkMessageStream(events) : null,
+  };
+}
+
+// What got worse from `expected` to `actual`: [{ field, expected, actual }].
+function compareMessageShapes(expected, actual) {
+  const diffs = [];
+  const list = (a) => `[${a.join(", ")}]`;
+  if (expected.stopReason !== actual.stopReason) {
+    diffs.push({ field: "stop_reason", expected: expected.stopReason, actual: actual.stopReason });
+  }
+  if (list(expected.blocks) !== list(actual.blocks)) {
+    diffs.push({ field: "blocks", expected: list(expected.blocks), actual: list(actual.blocks) });
+  }
+  if (list(expected.toolUses) !== list(actual.toolUses)) {
+    diffs.push({ field: "tool_use", expected: list(expected.toolUses), actual: list(actual.toolUses) });
+  }
+  if (expected.invalidToolInputs.length === 0 && actual.invalidToolInputs.length > 0) {
+    diffs.push({ field: "tool input", expected: "valid", actual: actual.invalidToolInputs.join("; ") });
+  }
+  if (!expected.streamError && actual.streamError) {
+    diffs.push({ field: "stream", expected: "valid event order", actual: actual.streamError });
+  }
+  return diffs;
+}
+
+// Recorded /v1/messages exchanges to replay: `trace` files, or hand-written lines with the
+// same request.body and response.body / response.events fields.
+function readReplayFixtures(file) {
+  if (!exists(file)) fail(`fixtures not found: ${file}`);
+  const fixtures = [];
+  let skipped = 0;
+  for (const [i, line] of readText(file).split("\n").entries()) {
+    if (!line.trim()) continue;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      fail(`${file}:${i + 1}: invalid JSON`);
+    }
+    const body = rec?.request?.body;
+    const message = rec?.response?.message ?? rec?.response?.body;
+    const isMessages = (rec?.request?.path ?? "/v1/messages").split("?")[0] === "/v1/messages";
+    if (!isMessages || !body?.model || message?.type !== "message") {
+      skipped += 1;
+      continue;
+    }
+    fixtures.push({ id: rec.id ?? i + 1, body, expected: messageShape({ message, events: rec.response.events, tools: body.tools }) });
+  }
+  return { fixtures, skipped };
+}
+
+async function replayFixture(port, fixture) {
+  const { body } = fixture;
+  const text = await postMessages(port, body, 300000);
+  const events = body.stream ? parseSseEvents(text) : null;
+  const message = events ? reassembleMessageStream(events) : JSON.parse(text);
+  return messageShape({ message, events, tools: body.tools });
+}
+
+async function replayFixtures(port, fixtures) {
+  const results = [];
+  for (const f of fixtures) {
+    let diffs;
+    let error = null;
+    try {
+      diffs = compareMessageShapes(f.expected, await replayFixture(port, f));
+    } catch (e) {
+      error = e?.name === "AbortError" ? "timed out" : e.message;
+      diffs = [{ field: "request", expected: "a message", actual: error }];
+    }
+    results.push({ id: f.id, model: f.body.model, stream: Boolean(f.body.stream), ok: diffs.length === 0, diffs });
+  }
+  return results;
+}
+
+function formatReplayDiffs(r) {
+  return r.diffs.flatMap((d) => [`  - ${d.field}: ${d.expected}`, `  + ${d.field}: ${d.actual}`]);
+}
+
+async function replayFlow(opts) {
+  if (opts.args.length !== 1) fail("usage: replay <fixtures.jsonl>");
+  const port = readPortFromProxyConfig(layout.configFile) ?? DEFAULT_PORT;
+  if (!await proxyHealthcheck(port)) fail(`proxy is not running on port ${port} (run start)`);
+
+  const { fixtures, skipped } = readReplayFixtures(opts.args[0]);
+  if (fixtures.length === 0) fail(`no /v1/messages exchanges to replay in ${opts.args[0]}`);
+  if (!opts.json) log(`Replaying ${fixtures.length} request(s) against port ${port}...`);
+  const results = await replayFixtures(port, fixtures);
+  const regressions = results.filter((r) => !r.ok);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ port, ok: regressions.length === 0, skipped, results }, null, 2));
+    if (regressions.length > 0) process.exit(1);
+    return;
+  }
+
+  const out = [];
+  for (const r of results) {
+    out.push(`#${r.id} ${r.model}${r.stream ? " stream" : ""}: ${r.ok ? "ok" : "REGRESSED"}`);
+    out.push(...formatReplayDiffs(r));
+  }
+  console.log(out.join("\n"));
+  const summary = `${results.length - regressions.length} matched, ${regressions.length} regressed, ${skipped} skipped`;
+  if (regressions.length > 0) fail(`replay found regressions (${summary})`);
+  log(`replay passed (${summary})`);
+}
+
+// Usage rows are per local day and model; tokens are null when the source has no counts.
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addUsage(rows, { day, model, failed, tokens }) {
+  const key = `${day}\t${model}`;
+  const row = rows.get(key) ?? { day, model, requests: 0, failed: 0, inputTokens: null, outputTokens: null, reasoningTokens: null };
+  row.requests += 1;
+  if (failed) row.failed += 1;
+  if (tokens) {
+    row.inputTokens = (row.inputTokens ?? 0) + (Number(tokens.input_tokens) || 0);
+    row.outputTokens = (row.outputTokens ?? 0) + (Number(tokens.output_tokens) || 0);
+    row.reasoningTokens = (row.reasoningTokens ?? 0) + (Number(tokens.reasoning_tokens) || 0);
+  }
+  rows.set(key, row);
+}
+
+// GET /v0/management/usage (needs usage-statistics-enabled and a management secret).
+// CLIProxyAPI keeps these statistics in memory, so they start over when it restarts.
+async function fetchManagementUsage(port, managementKey) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), 10000);
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/v0/management/usage`, {
+      headers: { authorization: `Bearer ${managementKey}` },
+      signal: ctrl.signal,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const json = await res.json();
+    if (!json?.usage || typeof json.usage !== "object") throw new Error("unexpected response (no usage object)");
+    return json.usage;
+  } finally {
+    clearTimeout(t);
+  }
+}
 
-  log("Extracting tarball...");
-  run("tar", ["-xzf", tarball, "-C", tmpDir]);
+function usageRowsFromManagement(usage, since) {
+  const rows = new Map();
+  for (const api of Object.values(usage.apis ?? {})) {
+    for (const [model, stats] of Object.entries(api?.models ?? {})) {
+      for (const d of stats?.details ?? []) {
+        const at = new Date(d?.timestamp);
+        if (Number.isNaN(at.getTime()) || (since != null && at.getTime() < since)) continue;
+        addUsage(rows, { day: localDay(at), model, failed: Boolean(d.failed), tokens: d.tokens ?? {} });
+      }
+    }
+  }
+  return [...rows.values()];
+}
 
-  const found = findFileRecursive(tmpDir, ["cli-proxy-api", "CLIProxyAPI"]);
-  if (!found) fail("failed to locate extracted binary");
+// Fallback: CLIProxyAPI's request log lines carry no model or token counts, only requests:
+//   [2026-01-02 10:11:12] [info ] [gin_logger.go:58] 200 | 1.2s | 127.0.0.1 | POST "/v1/messages?beta=true"
+//   [GIN] 2026/01/02 - 10:11:12 | 200 | 1.2s | 127.0.0.1 | POST "/v1/messages"
+const PROXY_LOG_REQUEST_RE = /(\d{4})[-/](\d{2})[-/](\d{2})[\sT-]+(\d{2}:\d{2}:\d{2}).*?\s(\d{3})\s+\|.*\bPOST\s+"([^"?]+)/;
 
-  const tmpOut = `${proxyBin}.tmp.${process.pid}.${nowTs()}`;
-  fs.copyFileSync(found, tmpOut);
-  fs.chmodSync(tmpOut, 0o755);
-  fs.renameSync(tmpOut, proxyBin);
-  fs.rmSync(tmpDir, { recursive: true, force: true });
+function usageRowsFromLog(proxyLog, since) {
+  const rows = new Map();
+  if (!exists(proxyLog)) return [];
+  for (const line of readText(proxyLog).split("\n")) {
+    const m = line.match(PROXY_LOG_REQUEST_RE);
+    if (!m || m[6] !== "/v1/messages") continue;
+    const at = new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}`);
+    if (since != null && at.getTime() < since) continue;
+    addUsage(rows, { day: `${m[1]}-${m[2]}-${m[3]}`, model: "unknown", failed: Number(m[5]) >= 400, tokens: null });
+  }
+  return [...rows.values()];
+}
 
-  log(`Installed: ${proxyBin}`);
+function csvField(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
 }
 
-function updateClaudeSettings({ claudeSettingsPath, port }) {
-  ensureDir(path.dirname(claudeSettingsPath));
-  if (!exists(claudeSettingsPath)) {
-    writeFileAtomic(claudeSettingsPath, "{}\n", 0o600);
+async function usageFlow(opts) {
+  const { configFile, managementKeyFile, proxyLog } = layout;
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  const tiers = resolveTiers({ toolConfig: readToolConfig(layout.toolConfigPath), overrides: {} });
+
+  let source = "management";
+  let rows = null;
+  const managementKey = readKeyFile(managementKeyFile);
+  if (managementKey) {
+    try {
+      rows = usageRowsFromManagement(await fetchManagementUsage(port, managementKey), opts.since);
+    } catch (e) {
+      warn(`could not read the management usage endpoint on port ${port}: ${e?.name === "AbortError" ? "timed out" : e.message}`);
+    }
+  }
+  if (!rows) {
+    source = "log";
+    if (!managementKey) warn("usage statistics are not enabled (install --usage-stats); counting requests from the proxy log, without tokens");
+    else warn(`counting requests from ${proxyLog} instead, without tokens`);
+    rows = usageRowsFromLog(proxyLog, opts.since);
   }
 
-  backupFile(claudeSettingsPath);
+  const tierOf = (model) => TIER_NAMES.filter((n) => tiers[n].selector === model).join("/") || null;
+  rows = rows
+    .map((r) => ({ day: r.day, tier: tierOf(r.model), ...r }))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.model.localeCompare(b.model));
+  const sum = (k) => (rows.some((r) => r[k] != null) ? rows.reduce((n, r) => n + (r[k] ?? 0), 0) : null);
+  const totals = {
+    requests: sum("requests"),
+    failed: sum("failed"),
+    inputTokens: sum("inputTokens"),
+    outputTokens: sum("outputTokens"),
+    reasoningTokens: sum("reasoningTokens"),
+  };
 
-  let json;
-  try {
-    json = JSON.parse(readText(claudeSettingsPath));
-  } catch {
-    fail(`failed to parse JSON: ${claudeSettingsPath}`);
+  if (opts.json) {
+    console.log(JSON.stringify({ source, since: opts.since == null ? null : new Date(opts.since).toISOString(), rows, totals }, null, 2));
+    return;
+  }
+  if (opts.csv) {
+    const cols = ["day", "tier", "model", "requests", "failed", "inputTokens", "outputTokens", "reasoningTokens"];
+    const header = ["day", "tier", "model", "requests", "failed", "input_tokens", "output_tokens", "reasoning_tokens"];
+    console.log([header.join(","), ...rows.map((r) => cols.map((c) => csvField(r[c])).join(","))].join("\n"));
+    return;
   }
 
-  if (!json || typeof json !== "object") json = {};
-  if (!json.env || typeof json.env !== "object") json.env = {};
+  const num = (v) => (v == null ? "-" : String(v));
+  const table = [
+    ["DAY", "TIER", "MODEL", "REQUESTS", "FAILED", "INPUT", "OUTPUT", "REASONING"],
+    ...rows.map((r) => [r.day, r.tier ?? "-", r.model, num(r.requests), num(r.failed), num(r.inputTokens), num(r.outputTokens), num(r.reasoningTokens)]),
+    ["TOTAL", "", "", num(totals.requests), num(totals.failed), num(totals.inputTokens), num(totals.outputTokens), num(totals.reasoningTokens)],
+  ];
+  const widths = table[0].map((_, i) => Math.max(...table.map((row) => row[i].length)));
+  const since = opts.since == null ? "" : ` since ${new Date(opts.since).toISOString()}`;
+  const out = [`usage from the ${source === "management" ? "management API" : `proxy log (${proxyLog})`}${since}`];
+  for (const row of table) out.push(row.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd());
+  console.log(out.join("\n"));
+}
 
-  json.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${port}`;
-  // Placeholder token. Avoid secret-like prefixes (e.g., "sk-") to prevent false-positive secret scans.
-  json.env.ANTHROPIC_AUTH_TOKEN = "proxy-local";
-  // Avoid global model overrides. Let Claude Code tiers select models.
-  delete json.env.ANTHROPIC_MODEL;
-  delete json.env.ANTHROPIC_SMALL_FAST_MODEL;
-  json.env.ANTHROPIC_DEFAULT_OPUS_MODEL = DEFAULT_OPUS_MODEL;
-  json.env.ANTHROPIC_DEFAULT_SONNET_MODEL = DEFAULT_SONNET_MODEL;
-  json.env.ANTHROPIC_DEFAULT_HAIKU_MODEL = DEFAULT_HAIKU_MODEL;
-
-  // Tool flows can be slow with large tool schemas. Keep timeouts generous.
-  // https://docs.claude.com/en/docs/claude-code/settings
-  ensureEnvMinInt(json.env, "BASH_DEFAULT_TIMEOUT_MS", 120000);
-  ensureEnvMinInt(json.env, "BASH_MAX_TIMEOUT_MS", 600000);
-  ensureEnvMinInt(json.env, "MCP_TIMEOUT", 30000);
-  ensureEnvMinInt(json.env, "MCP_TOOL_TIMEOUT", 600000);
-  ensureEnvDefault(json.env, "CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC", "1");
-  // Best-effort (not documented), but commonly used in the wild and safe to keep high.
-  ensureEnvMinInt(json.env, "API_TIMEOUT_MS", 600000);
+async function startFlow(opts) {
+  const service = requireServiceBackend();
+  const { configFile } = layout;
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
 
-  writeFileAtomic(claudeSettingsPath, `${JSON.stringify(json, null, 2)}\n`, 0o600);
+  if (!exists(service.proxyUnitFile)) fail(`missing ${service.kind} unit: ${service.proxyUnitFile} (run install first)`);
+  service.start();
+
+  const healthy = await waitForHealthy(port, 10000);
+  if (!healthy) fail("proxy did not become healthy");
+  log("proxy started");
 }
 
-function cleanupClaudeSettings({ claudeSettingsPath }) {
-  if (!exists(claudeSettingsPath)) return;
+async function stopFlow() {
+  const service = requireServiceBackend();
+  service.stop();
+  log(`proxy stopped (${service.kind} units stopped)`);
+}
 
-  backupFile(claudeSettingsPath);
+async function runFlow(opts) {
+  const { authDir, configFile, proxyBin, codexAuth, keyFile, helperPath, managementKeyFile } = layout;
+  const claudeSettingsPath = getClaudeSettingsPath({ scope: opts.scope ?? "user" });
 
-  let json;
-  try {
-    json = JSON.parse(readText(claudeSettingsPath));
-  } catch {
-    fail(`failed to parse JSON: ${claudeSettingsPath}`);
+  if (!exists(codexAuth)) {
+    fail(`missing ${codexAuth} (Codex CLI login required)`);
   }
 
-  if (!json || typeof json !== "object") return;
+  const tiers = resolveTiers({ toolConfig: readToolConfig(layout.toolConfigPath), overrides: opts.tiers });
+  const port = readPortFromProxyConfig(configFile) ?? await findAvailableLocalPort(DEFAULT_PORT);
+  if (await proxyHealthcheck(port)) {
+    fail(`a proxy is already listening on port ${port} (stop the service first)`);
+  }
 
-  if (json.env && typeof json.env === "object") {
-    delete json.env.ANTHROPIC_BASE_URL;
-    delete json.env.ANTHROPIC_AUTH_TOKEN;
-    delete json.env.ANTHROPIC_MODEL;
-    delete json.env.ANTHROPIC_SMALL_FAST_MODEL;
-    delete json.env.ANTHROPIC_DEFAULT_SONNET_MODEL;
-    delete json.env.ANTHROPIC_DEFAULT_OPUS_MODEL;
-    delete json.env.ANTHROPIC_DEFAULT_HAIKU_MODEL;
+  ensureDir(authDir);
+  await installCliProxyApiBinary({
+    proxyBin,
+    cacheDir: layout.cacheDir,
+    version: opts.cliProxyApiVersion,
+    tarball: opts.cliProxyApiTarball,
+    mirror: opts.cliProxyApiMirror ?? process.env.CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR ?? null,
+  });
+
+  const apiKey = ensureProxyApiKey(keyFile);
+  const apiKeyHelper = opts.apiKeyHelper || usesApiKeyHelper(claudeSettingsPath, helperPath) ? helperPath : null;
+  if (apiKeyHelper) writeApiKeyHelper({ helperPath, keyFile });
+  // Unlike install, keep an existing config.yaml: run may be pointed at a hand-managed setup.
+  // Only the sections this run's flags change are merged into it.
+  const managementKey = ensureManagementKey(managementKeyFile, opts.usageStats);
+  const generated = proxyConfigYaml({ port, tiers, apiKey, authDir, managementKey });
+  if (!exists(configFile)) {
+    log("Writing config...");
+    writeFileAtomic(configFile, generated, 0o600);
+  } else {
+    const keys = [
+      ...(Object.keys(opts.tiers).length > 0 ? ["payload"] : []),
+      ...(opts.usageStats ? ["usage-statistics-enabled", "remote-management"] : []),
+    ];
+    if (keys.length > 0) {
+      log("Updating config for the given options (keeping your own settings)...");
+      writeFileAtomic(configFile, mergeProxyConfigYaml(readText(configFile), pickYamlEntries(generated, keys)), 0o600);
+    }
   }
+  saveTierOverrides({ toolConfigPath: layout.toolConfigPath, overrides: opts.tiers });
 
-  writeFileAtomic(claudeSettingsPath, `${JSON.stringify(json, null, 2)}\n`, 0o600);
-}
+  log("Syncing token once...");
+  const targets = tokenSyncTargets();
+  for (const f of syncAllAccounts(targets)) {
+    if (f.name === DEFAULT_ACCOUNT) fail(f.message, f.code);
+    warn(`account ${f.name}: ${f.message}`);
+  }
 
-function cleanExistingInstall({ uid, labelProxy, labelSync, plistProxy, plistSync, proxyDir, claudeSettingsPath }) {
-  const hasInstallArtifacts = exists(proxyDir) || exists(plistProxy) || exists(plistSync);
-  if (!hasInstallArtifacts) return false;
+  log(`Starting proxy in foreground on http://127.0.0.1:${port} (Ctrl-C to stop)...`);
+  const supervisor = superviseProxy({ proxyBin, configFile, homeDir: layout.homeDir });
+  // fs.watch throws on a missing directory, which would take the whole supervisor down.
+  const watched = targets.filter((t) => {
+    if (t.disabled) {
+      warn(`account ${t.name}: disabled; not watching ${t.src}`);
+      return false;
+    }
+    if (!exists(path.dirname(t.src))) {
+      warn(`account ${t.name}: ${path.dirname(t.src)} does not exist; not watching ${t.src}`);
+      return false;
+    }
+    return true;
+  });
+  const watchers = watched.map((t) => watchCodexAuth({
+    codexAuth: t.src,
+    onChange: () => {
+      log(`${t.src} changed; re-syncing token (${t.name})...`);
+      const r = syncCodexToken({ src: t.src, dst: t.dst, disabled: t.disabled });
+      if (!r.ok) warn(`token sync failed: ${r.message}`);
+    },
+  }));
 
-  log("Existing install detected; cleaning up before reinstall...");
-  launchctlBootout(uid, labelProxy);
-  launchctlBootout(uid, labelSync);
-  if (exists(plistProxy)) fs.rmSync(plistProxy, { force: true });
-  if (exists(plistSync)) fs.rmSync(plistSync, { force: true });
-  if (exists(proxyDir)) fs.rmSync(proxyDir, { recursive: true, force: true });
-  // Best-effort cleanup so Claude doesn't keep pointing at a removed proxy.
-  cleanupClaudeSettings({ claudeSettingsPath });
-  return true;
-}
+  let shuttingDown = false;
+  const stopped = new Promise((resolve) => {
+    const onSignal = async (signal) => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+      log(`received ${signal}; stopping proxy...`);
+      for (const w of watchers) w.close();
+      await supervisor.stop(signal);
+      resolve();
+    };
+    for (const sig of ["SIGINT", "SIGTERM", "SIGHUP"]) process.once(sig, onSignal);
+  });
 
-function getUsername() {
-  // Prefer $USER for consistency with LaunchAgent labels.
-  if (process.env.USER && process.env.USER.trim()) return process.env.USER.trim();
-  return os.userInfo().username;
+  // Settings an install manages keep pointing at the proxy (its service takes over);
+  // settings run pointed at it are restored on exit, so no session is left on a dead port.
+  let restoreSettings = false;
+  if (await waitForHealthy(port, 10000) && !shuttingDown) {
+    restoreSettings = !readInstallManifest(layout.manifestPath).settings[claudeSettingsPath];
+    log("Updating Claude Code settings...");
+    updateClaudeSettings({
+      claudeSettingsPath,
+      port,
+      tiers,
+      manifestPath: layout.manifestPath,
+      apiKey,
+      apiKeyHelper,
+    });
+    log("proxy healthy");
+  } else if (!shuttingDown) {
+    warn("proxy did not become healthy yet; still supervising");
+  }
+
+  await stopped;
+  log("proxy stopped");
+  if (restoreSettings) {
+    log("Restoring Claude Code settings...");
+    cleanupClaudeSettings({ claudeSettingsPath, manifestPath: layout.manifestPath });
+  }
 }
 
-function getUid() {
-  const r = run("id", ["-u"]);
-  return Number(String(r.stdout || "").trim());
+async function syncTokenFlow(opts) {
+  if (opts.all) {
+    if (opts.args.length > 0) fail("usage: sync-token --all (no src/dst)");
+    const targets = tokenSyncTargets();
+    const failures = syncAllAccounts(targets);
+    for (const f of failures) warn(`account ${f.name}: ${f.message}`);
+    if (failures.length > 0) process.exit(failures[0].code);
+    log(`tokens synced: ${targets.map((t) => t.name).join(", ")}`);
+    return;
+  }
+  if (opts.args.length > 2) fail("usage: sync-token [src] [dst]");
+  const src = opts.args[0] ?? layout.codexAuth;
+  const dst = opts.args[1] ?? path.join(layout.authDir, CODEX_AUTH_FILE_NAME);
+  const r = syncCodexToken({ src, dst });
+  if (!r.ok) fail(r.message, r.code);
+  log(`token synced: ${dst}`);
 }
 
-function launchctlBootout(uid, label) {
-  run("launchctl", ["bootout", `gui/${uid}/${label}`], { allowFail: true });
+async function refreshTokenFlow(opts) {
+  const tokenUrl = resolveTokenUrl(opts);
+  const targets = opts.all ? tokenSyncTargets() : tokenSyncTargets().filter((t) => t.name === DEFAULT_ACCOUNT);
+  const failures = [];
+  for (const t of targets) {
+    const r = await refreshCodexToken({ src: t.src, dst: t.dst, disabled: t.disabled, tokenUrl, force: opts.force });
+    if (!r.ok) {
+      failures.push({ name: t.name, ...r });
+      warn(`account ${t.name}: ${r.message}`);
+      continue;
+    }
+    const until = r.expiresAt ? `valid until ${r.expiresAt.toISOString()}` : "no expiry in the access token";
+    log(`${t.name}: ${r.refreshed ? "refreshed" : "not due"} (${until})`);
+  }
+  if (failures.length > 0) process.exit(failures[0].code);
 }
 
-function launchctlBootstrap(uid, plistPath) {
-  run("launchctl", ["bootstrap", `gui/${uid}`, plistPath], { allowFail: true });
+async function collectStatus() {
+  const { configFile, proxyBin } = layout;
+  const syncedAuthFile = path.join(layout.authDir, CODEX_AUTH_FILE_NAME);
+  const claudeSettingsPath = getClaudeSettingsPath();
+
+  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
+  const proxyUrl = `http://127.0.0.1:${port}`;
+  const healthy = await proxyHealthcheck(port);
+
+  const service = getServiceBackend();
+  const envOf = (p) => {
+    const settings = exists(p) ? readJsonFile(p) : null;
+    return settings?.env && typeof settings.env === "object" ? settings.env : {};
+  };
+
+  // Every settings file install recorded, plus the current repo's project/local files.
+  const scopePaths = [...new Set([
+    claudeSettingsPath,
+    ...Object.keys(readInstallManifest(layout.manifestPath).settings),
+    getClaudeSettingsPath({ scope: "project" }),
+    getClaudeSettingsPath({ scope: "local" }),
+  ])];
+  const scopes = scopePaths.filter((p) => exists(p)).map((p) => {
+    const baseUrl = envOf(p).ANTHROPIC_BASE_URL ?? null;
+    return { scope: settingsScopeOf(p), path: p, baseUrl, pointsAtProxy: baseUrl === proxyUrl };
+  });
+
+  // Tiers are read from user settings unless only a project/local scope uses the proxy.
+  const tierSource = scopes.find((x) => x.path === claudeSettingsPath && x.pointsAtProxy) ?? scopes.find((x) => x.pointsAtProxy);
+  const env = envOf(tierSource?.path ?? claudeSettingsPath);
+  const userEnv = envOf(claudeSettingsPath);
+
+  // Tier selectors come from settings.json (what Claude Code sends); what they map
+  // to comes from the overrides actually written to config.yaml.
+  const overrides = readTierOverridesFromProxyConfig(configFile);
+  const tiers = {};
+  for (const name of TIER_NAMES) {
+    const selector = env[`ANTHROPIC_DEFAULT_${name.toUpperCase()}_MODEL`] ?? null;
+    const o = selector ? overrides[selector] : null;
+    tiers[name] = {
+      selector,
+      model: o?.params.model ?? null,
+      effort: o?.params["reasoning.effort"] ?? null,
+      params: o ? Object.fromEntries(Object.entries(o.params).filter(([k]) => k !== "model" && k !== "reasoning.effort")) : {},
+    };
+  }
+
+  const synced = exists(syncedAuthFile) ? readJsonFile(syncedAuthFile) : null;
+  const accessExp = jwtExpiry(synced?.access_token);
+  const idExp = jwtExpiry(synced?.id_token);
+  const accounts = tokenSyncTargets().map(accountStatus);
+
+  return {
+    port,
+    proxyUrl,
+    healthy,
+    paths: Object.fromEntries(Object.keys(LAYOUT_DIRS).map((k) => [k, layout[k]])),
+    cliProxyApi: {
+      path: proxyBin,
+      installed: exists(proxyBin),
+      version: getCliProxyApiVersion(proxyBin),
+      minVersion: MIN_CLI_PROXY_API_VERSION,
+    },
+    service: service ? { kind: service.kind, jobs: service.jobStates() } : null,
+    tiers,
+    claudeSettings: {
+      path: claudeSettingsPath,
+      baseUrl: userEnv.ANTHROPIC_BASE_URL ?? null,
+      pointsAtProxy: userEnv.ANTHROPIC_BASE_URL === proxyUrl,
+      scopes,
+    },
+    token: {
+      path: syncedAuthFile,
+      present: Boolean(synced),
+      accessTokenExpiresAt: accessExp ? accessExp.toISOString() : null,
+      idTokenExpiresAt: idExp ? idExp.toISOString() : null,
+      expired: accessExp ? accessExp.getTime() <= Date.now() : null,
+    },
+    accounts,
+  };
 }
 
-function launchctlKickstart(uid, label) {
-  run("launchctl", ["kickstart", "-k", `gui/${uid}/${label}`], { allowFail: true });
+function accountStatus(t) {
+  const json = exists(t.dst) ? readJsonFile(t.dst) : null;
+  const exp = jwtExpiry(json?.access_token);
+  return {
+    name: t.name,
+    source: t.src,
+    file: t.dst,
+    disabled: t.disabled,
+    present: Boolean(json),
+    accessTokenExpiresAt: exp ? exp.toISOString() : null,
+    expired: exp ? exp.getTime() <= Date.now() : null,
+  };
 }
 
-function launchctlPrint(uid, label) {
-  const r = run("launchctl", ["print", `gui/${uid}/${label}`], { allowFail: true });
-  return r.status === 0;
+function formatAccountStatus(a) {
+  const state = a.disabled ? "disabled" : !a.present ? "not synced" : "enabled";
+  const expiry = !a.accessTokenExpiresAt ? "expiry unknown"
+    : a.expired ? `token expired ${formatDuration(Date.now() - Date.parse(a.accessTokenExpiresAt))} ago`
+      : `token expires in ${formatDuration(Date.parse(a.accessTokenExpiresAt) - Date.now())}`;
+  return `${a.name}: ${state}, ${expiry} (${a.source})`;
 }
 
-async function waitForHealthy(port, msTotal = 8000) {
-  const started = Date.now();
-  while (Date.now() - started < msTotal) {
-    if (await proxyHealthcheck(port)) return true;
-    await sleep(250);
+async function statusFlow(opts) {
+  const status = await collectStatus();
+
+  if (opts.json) {
+    console.log(JSON.stringify(status, null, 2));
+    if (!status.healthy) process.exit(1);
+    return;
   }
-  return false;
+
+  log(`healthcheck: ${status.healthy ? "OK" : "NOT RUNNING"} (${status.proxyUrl}/v1/models)`);
+  if (status.service) {
+    const tool = status.service.kind === "launchd" ? "launchctl" : status.service.kind;
+    for (const job of status.service.jobs) {
+      log(`${tool} ${job.name} job: ${job.state}`);
+    }
+  }
+  const using = status.claudeSettings.scopes.filter((x) => x.pointsAtProxy);
+  if (using.length === 0) log("claude settings: no scope points at the proxy");
+  for (const x of using) log(`claude settings (${x.scope}): ${x.path}`);
+  for (const a of status.accounts) log(`account ${formatAccountStatus(a)}`);
 }
 
-async function installFlow(opts) {
-  if (process.platform !== "darwin") {
-    fail("macOS only (LaunchAgents-based install).");
+function formatDuration(ms) {
+  const abs = Math.abs(ms);
+  if (abs < 60 * 60 * 1000) return `${Math.round(abs / 60000)}m`;
+  if (abs < 48 * 60 * 60 * 1000) return `${Math.round(abs / 3600000)}h`;
+  return `${Math.round(abs / 86400000)}d`;
+}
+
+// Last lines of a log file that look like errors. Only the tail is read: logs grow unbounded.
+function tailErrorLines(p, maxLines = 5, maxBytes = 64 * 1024) {
+  if (!exists(p)) return [];
+  const size = fs.statSync(p).size;
+  const fd = fs.openSync(p, "r");
+  try {
+    const len = Math.min(size, maxBytes);
+    const buf = Buffer.alloc(len);
+    fs.readSync(fd, buf, 0, len, size - len);
+    return buf.toString("utf8").split("\n")
+      .filter((l) => /\b(error|fatal|panic|failed)\b/i.test(l))
+      .slice(-maxLines);
+  } finally {
+    fs.closeSync(fd);
   }
+}
 
-  const homeDir = os.homedir();
-  const username = getUsername();
-  const uid = getUid();
+function checkPrivateFile(name, p) {
+  const mode = fs.statSync(p).mode & 0o777;
+  if ((mode & 0o077) === 0) return { status: "pass", name, detail: `mode ${mode.toString(8)}` };
+  return {
+    status: "warn",
+    name,
+    detail: `mode ${mode.toString(8)} is readable by other users`,
+    hint: `chmod 600 ${p}`,
+    fix: () => {
+      fs.chmodSync(p, 0o600);
+      return `chmod 600 ${p}`;
+    },
+  };
+}
 
-  const proxyDir = path.join(homeDir, ".cli-proxy-api");
-  const authDir = path.join(proxyDir, "auths");
-  const configFile = path.join(proxyDir, "config.yaml");
-  const syncScriptPath = path.join(proxyDir, "sync-codex-token.sh");
-  const proxyBin = path.join(homeDir, ".local", "bin", "cli-proxy-api");
-  const proxyLog = path.join(proxyDir, "cli-proxy-api.log");
-  const tokenSyncLog = path.join(proxyDir, "token-sync.log");
-  const claudeSettingsPath = path.join(homeDir, ".claude", "settings.json");
+function checkTokenExpiry(name, token) {
+  const exp = jwtExpiry(token);
+  if (!exp) return { status: "warn", name, detail: "no expiry found (token is not a JWT)" };
+  const left = exp.getTime() - Date.now();
+  if (left <= 0) {
+    return {
+      status: "fail",
+      name,
+      detail: `expired ${formatDuration(left)} ago (${exp.toISOString()})`,
+      hint: "run 'codex-claudecode-proxy refresh-token --force' (or 'codex') to refresh the login, then re-run doctor",
+    };
+  }
+  if (left < 60 * 60 * 1000) {
+    return { status: "warn", name, detail: `expires in ${formatDuration(left)} (${exp.toISOString()})`, hint: "the token refresh job renews it before it expires (or run 'codex-claudecode-proxy refresh-token')" };
+  }
+  return { status: "pass", name, detail: `expires in ${formatDuration(left)} (${exp.toISOString()})` };
+}
 
-  const labelProxy = `com.${username}.cli-proxy-api`;
-  const labelSync = `com.${username}.cli-proxy-api-token-sync`;
-  const plistProxy = path.join(homeDir, "Library", "LaunchAgents", `${labelProxy}.plist`);
-  const plistSync = path.join(homeDir, "Library", "LaunchAgents", `${labelSync}.plist`);
+async function runDoctorChecks() {
+  const { configFile, proxyBin, proxyLog, tokenSyncLog, claudeSettingsPath, codexAuth } = layout;
+  const syncedAuthFile = path.join(layout.authDir, CODEX_AUTH_FILE_NAME);
+  const resync = () => {
+    const r = syncCodexToken({ src: codexAuth, dst: syncedAuthFile, disabled: tokenSyncTargets()[0].disabled });
+    if (!r.ok) throw new Error(r.message);
+    return `re-synced ${syncedAuthFile}`;
+  };
 
-  // Compute port before cleaning, so re-running install keeps existing config-based port.
-  const port = await resolveProxyPort({ configFile });
+  /** @type {{ status: string, name: string, detail: string, hint?: string, fix?: () => string | Promise<string> }[]} */
+  const results = [];
 
-  const codexAuth = path.join(homeDir, ".codex", "auth.json");
+  // Codex CLI login.
+  const codexJson = exists(codexAuth) ? readJsonFile(codexAuth) : null;
   if (!exists(codexAuth)) {
-    fail(`missing ${codexAuth} (Codex CLI login required)`);
+    results.push({ status: "fail", name: "codex auth", detail: `missing ${codexAuth}`, hint: "run 'codex login'" });
+  } else if (!codexJson) {
+    results.push({ status: "fail", name: "codex auth", detail: `failed to parse JSON: ${codexAuth}`, hint: "run 'codex login'" });
+  } else if (!codexJson.tokens?.access_token) {
+    results.push({ status: "fail", name: "codex auth", detail: "tokens.access_token missing", hint: "run 'codex login' with a ChatGPT account" });
+  } else {
+    results.push({ status: "pass", name: "codex auth", detail: codexAuth });
+    results.push(checkPrivateFile("codex auth permissions", codexAuth));
+    results.push(checkTokenExpiry("codex access token", codexJson.tokens.access_token));
+    if (codexJson.tokens.id_token) results.push(checkTokenExpiry("codex id token", codexJson.tokens.id_token));
   }
 
-  cleanExistingInstall({
-    uid,
-    labelProxy,
-    labelSync,
-    plistProxy,
-    plistSync,
-    proxyDir,
-    claudeSettingsPath,
-  });
+  // Synced CLIProxyAPI auth file.
+  const syncedJson = exists(syncedAuthFile) ? readJsonFile(syncedAuthFile) : null;
+  if (!syncedJson) {
+    results.push({
+      status: "fail",
+      name: "synced auth",
+      detail: exists(syncedAuthFile) ? `failed to parse JSON: ${syncedAuthFile}` : `missing ${syncedAuthFile}`,
+      hint: "run 'codex-claudecode-proxy sync-token'",
+      fix: codexJson ? resync : undefined,
+    });
+  } else if (codexJson?.tokens?.access_token && syncedJson.access_token !== codexJson.tokens.access_token) {
+    results.push({
+      status: "fail",
+      name: "synced auth",
+      detail: "stale (differs from ~/.codex/auth.json)",
+      hint: "run 'codex-claudecode-proxy sync-token'; if this recurs, check the token sync job",
+      fix: resync,
+    });
+  } else {
+    results.push({ status: "pass", name: "synced auth", detail: syncedAuthFile });
+    results.push(checkPrivateFile("synced auth permissions", syncedAuthFile));
+  }
 
-  ensureDir(proxyDir);
-  ensureDir(authDir);
-  ensureDir(path.dirname(proxyBin));
-  ensureDir(path.dirname(plistProxy));
+  // CLIProxyAPI binary.
+  if (!exists(proxyBin)) {
+    results.push({ status: "fail", name: "CLIProxyAPI binary", detail: `missing ${proxyBin}`, hint: "run 'codex-claudecode-proxy install'" });
+  } else {
+    const version = getCliProxyApiVersion(proxyBin);
+    const cmp = version ? compareSemver(version, MIN_CLI_PROXY_API_VERSION) : null;
+    if (!version) {
+      results.push({ status: "warn", name: "CLIProxyAPI binary", detail: `${proxyBin} (version unknown)` });
+    } else if (cmp != null && cmp < 0) {
+      results.push({
+        status: "fail",
+        name: "CLIProxyAPI binary",
+        detail: `v${version} is older than v${MIN_CLI_PROXY_API_VERSION}`,
+        hint: "re-run install with CODEX_CLAUDECODE_PROXY_FORCE_CLI_PROXY_API_UPDATE=1",
+      });
+    } else {
+      results.push({ status: "pass", name: "CLIProxyAPI binary", detail: `v${version}` });
+    }
+  }
 
-  await installCliProxyApiBinary({ proxyBin });
+  // Proxy config + port.
+  const port = readPortFromProxyConfig(configFile);
+  if (!port) {
+    results.push({ status: "fail", name: "proxy config", detail: `missing or invalid port in ${configFile}`, hint: "run 'codex-claudecode-proxy install'" });
+  } else {
+    results.push({ status: "pass", name: "proxy config", detail: `${configFile} (port ${port})` });
+  }
 
-  log("Writing config + token sync script...");
-  writeFileAtomic(configFile, proxyConfigYaml({ port }), 0o644);
-  writeFileAtomic(syncScriptPath, tokenSyncScript(), 0o755);
+  // Service jobs + health.
+  const service = getServiceBackend();
+  const serviceUsable = service && (service.kind !== "systemd" || commandExists("systemctl"));
+  const restartJobs = serviceUsable && port && exists(service.proxyUnitFile)
+    ? async () => {
+      service.start();
+      if (!await waitForHealthy(port, 10000)) throw new Error("proxy did not become healthy after restart");
+      return `restarted ${service.kind} jobs`;
+    }
+    : undefined;
+  if (!service) {
+    results.push({ status: "warn", name: "service manager", detail: `none for ${process.platform}`, hint: "use 'codex-claudecode-proxy run'" });
+  } else if (!serviceUsable) {
+    results.push({ status: "warn", name: "service manager", detail: "systemctl not found", hint: "use 'codex-claudecode-proxy run'" });
+  } else if (!exists(service.proxyUnitFile)) {
+    results.push({ status: "fail", name: "service jobs", detail: `missing ${service.proxyUnitFile}`, hint: "run 'codex-claudecode-proxy install'" });
+  } else {
+    const states = service.jobStates();
+    const down = states.filter((j) => j.state !== "loaded" && j.state !== "active");
+    results.push(down.length === 0
+      ? { status: "pass", name: "service jobs", detail: states.map((j) => `${j.name}=${j.state}`).join(", ") }
+      : {
+        status: "fail",
+        name: "service jobs",
+        detail: states.map((j) => `${j.name}=${j.state}`).join(", "),
+        hint: "run 'codex-claudecode-proxy start'",
+        fix: restartJobs,
+      });
+    // The token jobs run the node binary that installed them, which a Node.js upgrade
+    // (nvm, Homebrew) can remove.
+    const nodes = [...new Set(service.tokenJobInterpreters())];
+    const missingNode = nodes.filter((p) => !exists(p));
+    results.push(missingNode.length === 0
+      ? { status: "pass", name: "token job node", detail: nodes.join(", ") }
+      : {
+        status: "fail",
+        name: "token job node",
+        detail: `${missingNode.join(", ")} no longer exists`,
+        hint: "run 'codex-claudecode-proxy doctor --fix' (or re-run install)",
+        fix: () => {
+          writeServiceUnits({ service });
+          service.reloadTokenSync();
+          return `pointed the token jobs at ${process.execPath}`;
+        },
+      });
+  }
 
-  log("Syncing token once...");
-  run("/bin/bash", ["-lc", syncScriptPath]);
+  if (port) {
+    if (await proxyHealthcheck(port)) {
+      results.push({ status: "pass", name: "proxy health", detail: `http://127.0.0.1:${port}/v1/models` });
+    } else if (!await isLocalPortFree(port)) {
+      results.push({
+        status: "fail",
+        name: "proxy health",
+        detail: `port ${port} is taken by another process`,
+        hint: "stop the other process, or remove the port from config.yaml and re-run install to pick a free one",
+      });
+    } else {
+      results.push({
+        status: "fail",
+        name: "proxy health",
+        detail: `nothing listening on ${port}`,
+        hint: `run 'codex-claudecode-proxy start' and check ${proxyLog}`,
+        fix: restartJobs,
+      });
+    }
+  }
 
-  log("Writing LaunchAgents...");
-  writeFileAtomic(plistSync, buildPlistSync({ labelSync, syncScriptPath, homeDir, tokenSyncLog }), 0o644);
-  writeFileAtomic(plistProxy, buildPlistProxy({ labelProxy, proxyBin, configFile, homeDir, proxyLog }), 0o644);
+  // Claude Code settings: every file install manages (one per scope it ran with), so a
+  // project-scoped install is checked and repaired where it lives, not in the user settings.
+  const managedSettings = Object.keys(readInstallManifest(layout.manifestPath).settings);
+  const tiers = resolveTiers({ toolConfig: readToolConfig(layout.toolConfigPath), overrides: {} });
+  const apiKey = readKeyFile(layout.keyFile) ?? LEGACY_PROXY_TOKEN;
+  for (const p of managedSettings.length > 0 ? managedSettings : [claudeSettingsPath]) {
+    const settings = exists(p) ? readJsonFile(p) : null;
+    if (!settings) {
+      results.push({ status: "fail", name: "claude settings", detail: `missing or invalid ${p}`, hint: "run 'codex-claudecode-proxy install'" });
+      continue;
+    }
+    const problems = port ? proxySettingsProblems(settings, { port, tiers, apiKey, helperPath: layout.helperPath }) : [];
+    if (problems.length === 0) {
+      results.push({ status: "pass", name: "claude settings", detail: `ANTHROPIC_BASE_URL=${settings.env?.ANTHROPIC_BASE_URL} (${p})` });
+      continue;
+    }
+    results.push({
+      status: "fail",
+      name: "claude settings",
+      detail: `${problems.join("; ")} (${p})`,
+      hint: "run 'codex-claudecode-proxy doctor --fix'",
+      fix: () => {
+        const apiKeyHelper = usesApiKeyHelper(p, layout.helperPath) ? layout.helperPath : null;
+        updateClaudeSettings({ claudeSettingsPath: p, port, tiers, manifestPath: layout.manifestPath, apiKey, apiKeyHelper });
+        return `restored the proxy settings in ${p} (ANTHROPIC_BASE_URL=http://127.0.0.1:${port})`;
+      },
+    });
+  }
 
-  log("Reloading LaunchAgents...");
-  launchctlBootout(uid, labelProxy);
-  launchctlBootout(uid, labelSync);
-  launchctlBootstrap(uid, plistSync);
-  launchctlBootstrap(uid, plistProxy);
-  launchctlKickstart(uid, labelSync);
-  launchctlKickstart(uid, labelProxy);
+  // Recent errors in logs.
+  for (const [name, p] of [["proxy log", proxyLog], ["token sync log", tokenSyncLog]]) {
+    const lines = tailErrorLines(p);
+    if (lines.length === 0) continue;
+    results.push({ status: "warn", name, detail: `recent errors in ${p}:\n${lines.map((l) => `    ${l}`).join("\n")}` });
+  }
 
-  const healthy = await waitForHealthy(port, 10000);
-  if (!healthy) fail(`proxy did not become healthy (check ${proxyLog})`);
+  return results;
+}
 
-  log("Updating Claude Code settings...");
-  updateClaudeSettings({ claudeSettingsPath, port });
+function printDoctorResults(results) {
+  for (const r of results) {
+    log(`[${r.status.toUpperCase()}] ${r.name}: ${r.detail}`);
+    if (r.status !== "pass" && r.hint) log(`       hint: ${r.hint}`);
+  }
+}
 
-  log("Verifying tier reasoning.effort mapping (opus/sonnet/haiku) ...");
-  const okOpus = await verifyReasoningEffort(port, DEFAULT_OPUS_MODEL, "xhigh");
-  if (!okOpus) fail("expected opus reasoning.effort=xhigh but verification failed");
-  const okSonnet = await verifyReasoningEffort(port, DEFAULT_SONNET_MODEL, "high");
-  if (!okSonnet) fail("expected sonnet reasoning.effort=high but verification failed");
-  const okHaiku = await verifyReasoningEffort(port, DEFAULT_HAIKU_MODEL, "medium");
-  if (!okHaiku) fail("expected haiku reasoning.effort=medium but verification failed");
+async function doctorFlow(opts) {
+  let results = await runDoctorChecks();
+  printDoctorResults(results);
+
+  const fixable = results.filter((r) => r.status !== "pass" && r.fix);
+  if (opts.fix && fixable.length > 0) {
+    log("");
+    log("Applying fixes...");
+    // Several checks can share one fix (e.g. restarting jobs); run each once.
+    const done = new Set();
+    for (const r of fixable) {
+      if (done.has(r.fix)) continue;
+      done.add(r.fix);
+      try {
+        log(`- ${r.name}: ${await r.fix()}`);
+      } catch (e) {
+        warn(`fix failed for ${r.name}: ${e.message}`);
+      }
+    }
+    log("");
+    log("Re-checking...");
+    results = await runDoctorChecks();
+    printDoctorResults(results);
+  } else if (fixable.length > 0) {
+    log("");
+    log(`${fixable.length} issue(s) can be repaired with 'doctor --fix'`);
+  }
 
+  const failed = results.filter((r) => r.status === "fail").length;
+  const warned = results.filter((r) => r.status === "warn").length;
   log("");
-  log("All done.");
-  log(`- Proxy: http://127.0.0.1:${port}`);
-  log(`- Config: ${configFile}`);
-  log(`- Claude settings: ${claudeSettingsPath}`);
-  log("- Next: run 'claude'");
+  log(`${failed} failed, ${warned} warning(s)`);
+  if (failed > 0) process.exit(1);
 }
 
-async function startFlow(opts) {
-  if (process.platform !== "darwin") fail("macOS only.");
-  const homeDir = os.homedir();
-  const username = getUsername();
-  const uid = getUid();
-  const configFile = path.join(homeDir, ".cli-proxy-api", "config.yaml");
-  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
-  const labelProxy = `com.${username}.cli-proxy-api`;
-  const plistProxy = path.join(homeDir, "Library", "LaunchAgents", `${labelProxy}.plist`);
-  const labelSync = `com.${username}.cli-proxy-api-token-sync`;
-  const plistSync = path.join(homeDir, "Library", "LaunchAgents", `${labelSync}.plist`);
+function findBackup(backups, id) {
+  if (!id) fail("missing backup id (see 'backups list')");
+  const b = backups.find((x) => x.id === id);
+  if (!b) fail(`unknown backup id: ${id} (see 'backups list')`);
+  if (!exists(b.file)) fail(`backup file missing: ${b.file}`);
+  return b;
+}
+
+async function backupsFlow(opts) {
+  const { backupsDir } = layout;
+  const [sub = "list", id, ...rest] = opts.args;
+  if (rest.length > 0) fail(`unknown arg: ${rest[0]}`);
+
+  migrateLegacyBackups({ backupsDir, source: layout.claudeSettingsPath });
+  const backups = listBackups(backupsDir);
 
-  if (exists(plistSync)) {
-    launchctlBootstrap(uid, plistSync);
-    launchctlKickstart(uid, labelSync);
+  switch (sub) {
+    case "list": {
+      if (opts.json) {
+        console.log(JSON.stringify(backups, null, 2));
+        return;
+      }
+      if (backups.length === 0) {
+        log(`no backups (${backupsDir})`);
+        return;
+      }
+      for (const b of backups) log(`${b.id}  ${b.createdAt}  ${b.command.padEnd(10)}  ${b.source}`);
+      return;
+    }
+    case "diff": {
+      const b = findBackup(backups, id);
+      const current = exists(b.source) ? readText(b.source) : "";
+      const diff = unifiedDiff(readText(b.file), current, { aLabel: `backup/${b.id}`, bLabel: b.source });
+      if (diff) process.stdout.write(diff);
+      else log("no differences");
+      return;
+    }
+    case "restore": {
+      const b = findBackup(backups, id);
+      // The state being replaced is itself backed up, so a restore can be undone.
+      backupFile(b.source);
+      writeFileAtomic(b.source, readText(b.file), 0o600);
+      log(`restored ${b.source} from backup ${b.id}`);
+      return;
+    }
+    case "prune": {
+      if (id) fail(`unknown arg: ${id}`);
+      const keep = opts.keep ?? 10;
+      const doomed = backups.slice(0, Math.max(0, backups.length - keep));
+      for (const b of doomed) fs.rmSync(path.join(backupsDir, b.id), { recursive: true, force: true });
+      log(`pruned ${doomed.length} backup(s), kept ${backups.length - doomed.length}`);
+      return;
+    }
+    default:
+      fail(`unknown backups subcommand: ${sub} (expected list, diff, restore or prune)`);
   }
-  if (!exists(plistProxy)) fail(`missing plist: ${plistProxy} (run install first)`);
-  launchctlBootstrap(uid, plistProxy);
-  launchctlKickstart(uid, labelProxy);
+}
 
-  const healthy = await waitForHealthy(port, 10000);
-  if (!healthy) fail("proxy did not become healthy");
-  log("proxy started");
+// Re-point an installed token sync job at the current set of account sources.
+function refreshTokenSyncJob() {
+  const service = getServiceBackend();
+  if (!service || !exists(service.proxyUnitFile)) return;
+  writeServiceUnits({ service });
+  service.reloadTokenSync();
 }
 
-async function stopFlow() {
-  if (process.platform !== "darwin") fail("macOS only.");
-  const username = getUsername();
-  const uid = getUid();
-  const labelProxy = `com.${username}.cli-proxy-api`;
-  const labelSync = `com.${username}.cli-proxy-api-token-sync`;
-  launchctlBootout(uid, labelProxy);
-  launchctlBootout(uid, labelSync);
-  log("proxy stopped (launchagents unloaded)");
+const ACCOUNT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+async function accountFlow(opts) {
+  const { accountsFile } = layout;
+  const [sub = "list", name, ...rest] = opts.args;
+  if (rest.length > 0) fail(`unknown arg: ${rest[0]}`);
+  const registry = readAccounts(accountsFile);
+  const findTarget = () => {
+    const t = tokenSyncTargets().find((x) => x.name === name);
+    if (!t) fail(`unknown account: ${name ?? "(none)"} (see 'account list')`);
+    return t;
+  };
+
+  switch (sub) {
+    case "list": {
+      if (name) fail(`unknown arg: ${name}`);
+      const accounts = tokenSyncTargets().map(accountStatus);
+      if (opts.json) {
+        console.log(JSON.stringify(accounts, null, 2));
+        return;
+      }
+      for (const a of accounts) log(formatAccountStatus(a));
+      return;
+    }
+    case "add": {
+      if (!name || !ACCOUNT_NAME_RE.test(name)) fail("usage: account add <name> --from <auth.json> (name: letters, digits, - and _)");
+      if (name === DEFAULT_ACCOUNT || registry.accounts[name]) fail(`account already exists: ${name}`);
+      if (!opts.from) fail("account add requires --from <auth.json>");
+      const source = path.resolve(opts.from);
+      const dst = accountAuthFile(layout.authDir, name);
+      // Sync first so a bad source is never registered.
+      const r = syncCodexToken({ src: source, dst });
+      if (!r.ok) fail(r.message, r.code);
+      registry.accounts[name] = { source, disabled: false, addedAt: new Date().toISOString() };
+      writeAccounts(accountsFile, registry);
+      refreshTokenSyncJob();
+      log(`added account ${name}: ${dst}`);
+      return;
+    }
+    case "remove": {
+      if (name === DEFAULT_ACCOUNT) fail("the default account follows ~/.codex/auth.json and cannot be removed (use 'account disable default')");
+      const t = findTarget();
+      delete registry.accounts[name];
+      writeAccounts(accountsFile, registry);
+      removePath(t.dst);
+      refreshTokenSyncJob();
+      log(`removed account ${name}`);
+      return;
+    }
+    case "disable":
+    case "enable": {
+      const t = findTarget();
+      const disabled = sub === "disable";
+      registry.accounts[name] = { ...(registry.accounts[name] || { source: t.src }), disabled };
+      writeAccounts(accountsFile, registry);
+      // Flip the flag in place when possible: the source may be unavailable right now.
+      const json = exists(t.dst) ? readJsonFile(t.dst) : null;
+      if (json) {
+        writeFileAtomic(t.dst, `${JSON.stringify({ ...json, disabled }, null, 2)}\n`, 0o600, { sensitive: true });
+      } else {
+        const r = syncCodexToken({ src: t.src, dst: t.dst, disabled });
+        if (!r.ok) warn(`account ${name}: ${r.message}`);
+      }
+      log(`${sub}d account ${name}`);
+      return;
+    }
+    default:
+      fail(`unknown account subcommand: ${sub} (expected add, list, remove, disable or enable)`);
+  }
 }
 
-async function statusFlow(opts) {
-  const homeDir = os.homedir();
-  const configFile = path.join(homeDir, ".cli-proxy-api", "config.yaml");
-  const port = readPortFromProxyConfig(configFile) ?? DEFAULT_PORT;
-  const portOk = await proxyHealthcheck(port);
-  log(`healthcheck: ${portOk ? "OK" : "NOT RUNNING"} (http://127.0.0.1:${port}/v1/models)`);
-  if (process.platform === "darwin") {
-    const username = getUsername();
-    const uid = getUid();
-    const labelProxy = `com.${username}.cli-proxy-api`;
-    const labelSync = `com.${username}.cli-proxy-api-token-sync`;
-    log(`launchctl proxy job: ${launchctlPrint(uid, labelProxy) ? "loaded" : "not loaded"}`);
-    log(`launchctl token-sync job: ${launchctlPrint(uid, labelSync) ? "loaded" : "not loaded"}`);
+async function binaryFlow(opts) {
+  const { proxyBin, cacheDir } = layout;
+  const [sub = "list", version, ...rest] = opts.args;
+  if (rest.length > 0) fail(`unknown arg: ${rest[0]}`);
+  const active = activeCachedVersion(proxyBin);
+  const versions = listCachedBinaries(cacheDir);
+
+  switch (sub) {
+    case "list": {
+      if (version) fail(`unknown arg: ${version}`);
+      if (opts.json) {
+        console.log(JSON.stringify(versions.map((v) => ({ version: v, path: cachedBinaryPath(cacheDir, v), active: v === active })), null, 2));
+        return;
+      }
+      if (versions.length === 0) {
+        log(`no cached CLIProxyAPI releases (${cacheDir})`);
+        return;
+      }
+      for (const v of versions) log(`${v === active ? "*" : " "} ${v}  ${cachedBinaryPath(cacheDir, v)}`);
+      return;
+    }
+    case "use": {
+      const v = String(version || "").replace(/^v/, "");
+      if (!v) fail("usage: binary use <version>");
+      if (!versions.includes(v)) fail(`CLIProxyAPI v${v} is not cached (see 'binary list')`);
+      if (compareSemver(v, MIN_CLI_PROXY_API_VERSION) < 0) {
+        warn(`CLIProxyAPI v${v} is older than v${MIN_CLI_PROXY_API_VERSION}; some models may not resolve`);
+      }
+      adoptUncachedBinary({ proxyBin, cacheDir });
+      activateCachedBinary({ proxyBin, cacheDir, version: v });
+      log(`${proxyBin} -> ${cachedBinaryPath(cacheDir, v)}`);
+
+      const service = getServiceBackend();
+      if (!service || !exists(service.proxyUnitFile)) return;
+      log("Restarting proxy...");
+      service.start();
+      const port = readPortFromProxyConfig(layout.configFile) ?? DEFAULT_PORT;
+      if (!await waitForHealthy(port, 10000)) fail(`proxy did not become healthy on v${v} (check ${layout.proxyLog})`);
+      log(`proxy healthy on CLIProxyAPI v${v}`);
+      return;
+    }
+    case "prune": {
+      if (version) fail(`unknown arg: ${version}`);
+      const keep = opts.keep ?? 3;
+      const doomed = versions.filter((v) => v !== active).slice(keep);
+      for (const v of doomed) removePath(path.join(cacheDir, v));
+      log(`pruned ${doomed.length} release(s), kept ${versions.length - doomed.length}`);
+      return;
+    }
+    default:
+      fail(`unknown binary subcommand: ${sub} (expected list, use or prune)`);
   }
 }
 
 async function uninstallFlow(opts) {
-  if (process.platform !== "darwin") fail("macOS only.");
-  const homeDir = os.homedir();
-  const username = getUsername();
-  const uid = getUid();
-  const labelProxy = `com.${username}.cli-proxy-api`;
-  const labelSync = `com.${username}.cli-proxy-api-token-sync`;
-  const plistProxy = path.join(homeDir, "Library", "LaunchAgents", `${labelProxy}.plist`);
-  const plistSync = path.join(homeDir, "Library", "LaunchAgents", `${labelSync}.plist`);
-  const claudeSettingsPath = path.join(homeDir, ".claude", "settings.json");
-  const proxyDir = path.join(homeDir, ".cli-proxy-api");
-  const proxyBin = path.join(homeDir, ".local", "bin", "cli-proxy-api");
+  const service = requireServiceBackend();
+  const { proxyDir, proxyBin, manifestPath } = layout;
 
-  launchctlBootout(uid, labelProxy);
-  launchctlBootout(uid, labelSync);
+  // Always restore Claude Code settings so "claude" doesn't keep pointing at a removed proxy:
+  // every scope install changed, or only the one asked for.
+  const scoped = opts.scope != null && opts.command === "uninstall";
+  const targets = scoped
+    ? [getClaudeSettingsPath({ scope: opts.scope })]
+    : [...new Set([getClaudeSettingsPath(), ...Object.keys(readInstallManifest(manifestPath).settings)])];
+  for (const claudeSettingsPath of targets) {
+    cleanupClaudeSettings({ claudeSettingsPath, manifestPath });
+  }
 
-  if (exists(plistProxy)) fs.rmSync(plistProxy, { force: true });
-  if (exists(plistSync)) fs.rmSync(plistSync, { force: true });
+  const remaining = Object.keys(readInstallManifest(manifestPath).settings);
+  if (scoped && remaining.length > 0) {
+    if (plan) return;
+    log(`${opts.scope} scope restored; proxy services left running for: ${remaining.join(", ")}`);
+    return;
+  }
 
-  // Always restore Claude Code settings so "claude" doesn't keep pointing at a removed proxy.
-  cleanupClaudeSettings({ claudeSettingsPath });
+  service.unload();
+  service.removeUnits();
 
   if (opts.command === "purge") {
-    // Remove proxy installation files (best-effort).
-    if (exists(proxyDir)) fs.rmSync(proxyDir, { recursive: true, force: true });
-    if (exists(proxyBin)) fs.rmSync(proxyBin, { force: true });
+    // Remove proxy installation files (best-effort). The binary goes first: it
+    // links into proxyDir and would be left dangling.
+    removePath(proxyBin);
+    removePath(proxyDir);
+    if (plan) return;
     log("purge completed (proxy files removed)");
     return;
   }
 
+  if (plan) return;
   log("uninstall completed (proxy files left in place)");
 }
 
+// Net effect of a dry run: each written file is diffed against what is on disk now.
+function printPlan(p) {
+  const out = [];
+  const deletions = p.deletions.filter((d) => realExists(d.path));
+  out.push(`Plan for "${p.command}" (dry run: nothing was changed)`);
+
+  out.push("", "Paths to delete:");
+  if (deletions.length === 0) out.push("  (none)");
+  for (const d of deletions) out.push(`  ${d.path}${d.isDir ? "/ (recursive)" : ""}`);
+
+  out.push("", "Commands to run:");
+  if (p.commands.length === 0) out.push("  (none)");
+  for (const c of p.commands) out.push(`  $ ${c}`);
+
+  out.push("", "Other actions:");
+  if (p.actions.length === 0) out.push("  (none)");
+  for (const a of p.actions) out.push(`  - ${a}`);
+
+  out.push("", "File changes:");
+  let changed = 0;
+  for (const [f, v] of [...p.files].sort(([a], [b]) => a.localeCompare(b))) {
+    if (v.content == null) continue;
+    const before = realExists(f) ? fs.readFileSync(f, "utf8") : null;
+    if (before === v.content) continue;
+    changed += 1;
+    if (v.copiedFrom) {
+      out.push(`  copy ${v.copiedFrom} -> ${f}`);
+      continue;
+    }
+    if (v.sensitive) {
+      out.push(`  ${before == null ? "create" : "update"} ${f} (contents hidden: contains credentials)`);
+      continue;
+    }
+    out.push("");
+    out.push(unifiedDiff(before ?? "", v.content, { aLabel: before == null ? "/dev/null" : f, bLabel: f }).trimEnd());
+  }
+  if (changed === 0) out.push("  (none)");
+  console.log(out.join("\n"));
+}
+
 async function main() {
   const opts = parseArgs(process.argv.slice(2));
   if (opts.command === "help") usage(0);
+  if (opts.command === "plan") {
+    if (opts.args.length > 1) fail(`plan expects at most one command (got ${opts.args.join(" ")})`);
+    opts.command = opts.args[0] || "install";
+    opts.args = [];
+    opts.dryRun = true;
+  }
+  if (opts.dryRun) {
+    if (!PLANNABLE_COMMANDS.has(opts.command)) fail(`--dry-run is not supported for ${opts.command} (use install, uninstall or purge)`);
+    plan = createPlan(opts.command);
+  }
+  activeCommand = opts.command;
+  layout = resolveLayout(opts);
 
   try {
     switch (opts.command) {
@@ -817,9 +4673,54 @@ async function main() {
       case "stop":
         await stopFlow();
         break;
+      case "run":
+        await runFlow(opts);
+        break;
+      case "sync-token":
+        await syncTokenFlow(opts);
+        break;
+      case "refresh-token":
+        await refreshTokenFlow(opts);
+        break;
       case "status":
         await statusFlow(opts);
         break;
+      case "doctor":
+        await doctorFlow(opts);
+        break;
+      case "backups":
+        await backupsFlow(opts);
+        break;
+      case "account":
+        await accountFlow(opts);
+        break;
+      case "binary":
+        await binaryFlow(opts);
+        break;
+      case "verify":
+        await verifyFlow(opts);
+        break;
+      case "rotate-key":
+        await rotateKeyFlow();
+        break;
+      case "update":
+        await updateFlow(opts);
+        break;
+      case "env":
+        await envFlow(opts);
+        break;
+      case "exec":
+        await execFlow(opts);
+        break;
+      case "trace":
+        await traceFlow(opts);
+        break;
+      case "replay":
+        await replayFlow(opts);
+        break;
+      case "usage":
+        await usageFlow(opts);
+        break;
       case "uninstall":
         await uninstallFlow(opts);
         break;
@@ -829,6 +4730,7 @@ async function main() {
       default:
         usage(1);
     }
+    if (plan) printPlan(plan);
   } catch (e) {
     fail(e?.stack || String(e));
   }
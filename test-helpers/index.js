@@ -0,0 +1,193 @@
+// Fixtures shared by the test files. Tests drive the real CLI with HOME pointed at a
+// throwaway directory. Kept outside test/ so `node --test test/` doesn't run it as a test.
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { spawn, spawnSync } from "node:child_process";
+
+export const cli = path.resolve(process.cwd(), "bin", "codex-claudecode-proxy.js");
+
+export function mkTmpDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+export function writeFile(p, content, mode) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, content, "utf8");
+  if (mode != null) fs.chmodSync(p, mode);
+}
+
+// Unsigned JWT with just an `exp` claim, which is all the CLI reads from access tokens.
+export function jwt(expSeconds) {
+  const b64 = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+  return `${b64({ alg: "none" })}.${b64({ exp: expSeconds })}.sig`;
+}
+
+export function sse(events) {
+  return events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`).join("");
+}
+
+// ~/.codex/auth.json as Codex CLI writes it; `tokens` and `fields` override the defaults.
+export function codexAuthJson(tokens = {}, fields = {}) {
+  return JSON.stringify({
+    tokens: {
+      access_token: "test-access-token",
+      id_token: "test-id-token",
+      refresh_token: "test-refresh-token",
+      account_id: "test-account-id",
+      ...tokens,
+    },
+    last_refresh: "0",
+    ...fields,
+  }, null, 2);
+}
+
+// No-op launchctl and systemctl in <home>/stub-bin, so tests never touch the real service
+// managers; returns the directory to put first on PATH.
+export function stubServiceManagers(home) {
+  const stubBin = path.join(home, "stub-bin");
+  writeFile(path.join(stubBin, "launchctl"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+  writeFile(
+    path.join(stubBin, "systemctl"),
+    `#!/usr/bin/env bash
+if [[ "\${2:-}" == "is-active" ]]; then echo active; fi
+exit 0
+`,
+    0o755,
+  );
+  return stubBin;
+}
+
+// Starts a CLI command that keeps running (run, trace, exec). Output accumulates on the
+// returned object; `closed` resolves with the exit code.
+export function startCli(args, env, { cwd } = {}) {
+  const child = spawn(process.execPath, [cli, ...args], { cwd, env, stdio: ["ignore", "pipe", "pipe"] });
+  const proc = { child, stdout: "", stderr: "" };
+  child.stdout.setEncoding("utf8");
+  child.stderr.setEncoding("utf8");
+  child.stdout.on("data", (d) => { proc.stdout += d; });
+  child.stderr.on("data", (d) => { proc.stderr += d; });
+  proc.closed = new Promise((resolve) => child.on("close", resolve));
+  proc.output = () => `stdout:\n${proc.stdout}\nstderr:\n${proc.stderr}`;
+  return proc;
+}
+
+// Async, so fake servers in the test process keep answering while the CLI runs
+// (spawnSync would block them and deadlock).
+export function cliRunner(env, { cwd } = {}) {
+  return async (args, runEnv = env) => {
+    const proc = startCli(args, runEnv, { cwd });
+    const status = await proc.closed;
+    return { status, stdout: proc.stdout, stderr: proc.stderr };
+  };
+}
+
+export function cliRunnerSync(env) {
+  return (args) => spawnSync(process.execPath, [cli, ...args], { encoding: "utf8", env });
+}
+
+export async function waitFor(fn, msTotal = 15000) {
+  const started = Date.now();
+  while (Date.now() - started < msTotal) {
+    if (fn()) return true;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  return false;
+}
+
+export function getFreePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer();
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Listens on a free loopback port; resolves with the server once it accepts connections.
+export function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+export function sendJson(res, value) {
+  res.setHeader("content-type", "application/json");
+  res.end(JSON.stringify(value));
+}
+
+// Stands in for CLIProxyAPI. /v1/models answers, /v1/responses echoes the effort encoded
+// in the model name ("gpt-5.3-codex(high)" -> high), and `routes` adds or replaces
+// handlers by path; they get the parsed JSON body (null if there is none). Requests
+// `authorize` rejects get a 401, anything unrouted a 404.
+export function startFakeProxy(routes = {}, { authorize } = {}) {
+  const handlers = {
+    "/v1/models": (req, res) => sendJson(res, { data: [] }),
+    "/v1/responses": (req, res, body) => sendJson(res, { reasoning: { effort: body?.model?.match(/\(([a-z]+)\)$/)?.[1] ?? "xhigh" } }),
+    ...routes,
+  };
+  return listen(http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (d) => { raw += d; });
+    req.on("end", () => {
+      const handler = handlers[req.url];
+      if (authorize && !authorize(req)) res.statusCode = 401;
+      else if (!handler) res.statusCode = 404;
+      else {
+        let body = null;
+        try {
+          body = raw ? JSON.parse(raw) : null;
+        } catch {
+          body = null;
+        }
+        handler(req, res, body);
+        return;
+      }
+      res.end();
+    });
+  }));
+}
+
+// Builds a release tarball like CLIProxyAPI's, with a stub binary reporting `version`.
+export function makeReleaseTarball(dir, version) {
+  const arch = process.arch === "arm64" ? "arm64" : "amd64";
+  const name = `CLIProxyAPI_${version}_${process.platform}_${arch}.tar.gz`;
+  const staging = path.join(dir, `staging-${version}`);
+  writeFile(path.join(staging, "cli-proxy-api"), `#!/usr/bin/env bash\necho 'CLIProxyAPI Version: ${version}, Commit: test'\n`, 0o755);
+  const r = spawnSync("tar", ["-czf", path.join(dir, name), "-C", staging, "cli-proxy-api"]);
+  assert.equal(r.status, 0, String(r.stderr));
+  const sha = crypto.createHash("sha256").update(fs.readFileSync(path.join(dir, name))).digest("hex");
+  return { name, sha };
+}
+
+// Serves a GitHub-style releases API for v6.9.2 with the tarball in `dir` and `checksums`.
+export function startFakeReleaseServer(dir, { name, checksums }) {
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    if (req.url === "/releases/latest" || req.url === "/releases/tags/v6.9.2") {
+      sendJson(res, {
+        tag_name: "v6.9.2",
+        assets: [
+          { name, browser_download_url: `${base}/download/${name}` },
+          { name: "checksums.txt", browser_download_url: `${base}/download/checksums.txt` },
+        ],
+      });
+      return;
+    }
+    if (req.url === "/download/checksums.txt") {
+      res.end(checksums);
+      return;
+    }
+    if (req.url === `/download/${name}`) {
+      res.end(fs.readFileSync(path.join(dir, name)));
+      return;
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  return listen(server);
+}
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mkTmpDir, writeFile, jwt, codexAuthJson, stubServiceManagers, cliRunnerSync } from "../test-helpers/index.js";
+
+test("account add/list/disable/enable/remove manage per-account auth files", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunnerSync(env);
+  const authDir = path.join(home, ".cli-proxy-api", "auths");
+
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson({ access_token: jwt(exp) }), 0o600);
+  const seat2 = path.join(home, "seats", "seat2.json");
+  writeFile(seat2, codexAuthJson({ access_token: jwt(exp + 7200) }), 0o600);
+
+  // Pretend the service is installed so adding an account re-points the sync job.
+  const unitDir = path.join(home, ".config", "systemd", "user");
+  if (process.platform === "linux") writeFile(path.join(unitDir, "cli-proxy-api.service"), "[Unit]\n", 0o644);
+
+  assert.equal(runCli(["account", "add", "seat2"]).status, 1, "expected --from to be required");
+  assert.equal(runCli(["account", "add", "../x", "--from", seat2]).status, 1);
+  assert.equal(runCli(["account", "add", "seat3", "--from", path.join(home, "missing.json")]).status, 2);
+
+  const added = runCli(["account", "add", "seat2", "--from", seat2]);
+  assert.equal(added.status, 0, added.stderr);
+  const seat2File = path.join(authDir, "codex-account-seat2.json");
+  assert.equal(JSON.parse(fs.readFileSync(seat2File, "utf8")).disabled, false);
+  assert.equal(fs.statSync(seat2File).mode & 0o777, 0o600);
+  assert.equal(runCli(["account", "add", "seat2", "--from", seat2]).status, 1, "expected duplicate name to fail");
+
+  if (process.platform === "linux") {
+    const pathUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.path"), "utf8");
+    assert.match(pathUnit, new RegExp(`^PathChanged=${path.join(home, ".codex", "auth.json").replace(/[.]/g, "\\.")}$`, "m"));
+    assert.match(pathUnit, new RegExp(`^PathChanged=${seat2.replace(/[.]/g, "\\.")}$`, "m"));
+    const syncUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.service"), "utf8");
+    assert.match(syncUnit, /^ExecStart=.*"sync-token" "--all"$/m);
+  }
+
+  // The sync job keeps every account in sync from its own source.
+  writeFile(seat2, codexAuthJson({ access_token: "rotated-seat2" }), 0o600);
+  const synced = runCli(["sync-token", "--all"]);
+  assert.equal(synced.status, 0, synced.stderr);
+  assert.equal(JSON.parse(fs.readFileSync(seat2File, "utf8")).access_token, "rotated-seat2");
+  assert.equal(fs.existsSync(path.join(authDir, "codex-from-codex-cli.json")), true);
+
+  assert.equal(runCli(["account", "disable", "seat2"]).status, 0);
+  assert.equal(JSON.parse(fs.readFileSync(seat2File, "utf8")).disabled, true);
+  assert.equal(runCli(["sync-token", "--all"]).status, 0);
+  assert.equal(JSON.parse(fs.readFileSync(seat2File, "utf8")).disabled, true, "a re-sync must keep the account disabled");
+
+  const listed = runCli(["account", "list", "--json"]);
+  assert.equal(listed.status, 0, listed.stderr);
+  const accounts = JSON.parse(listed.stdout);
+  assert.deepEqual(accounts.map((a) => [a.name, a.disabled]), [["default", false], ["seat2", true]]);
+  assert.equal(accounts[0].accessTokenExpiresAt, new Date(exp * 1000).toISOString());
+  assert.equal(accounts[1].accessTokenExpiresAt, null);
+
+  const status = JSON.parse(runCli(["status", "--json"]).stdout);
+  assert.deepEqual(status.accounts.map((a) => a.name), ["default", "seat2"]);
+  assert.equal(status.accounts[0].expired, false);
+
+  assert.equal(runCli(["account", "enable", "seat2"]).status, 0);
+  assert.equal(JSON.parse(fs.readFileSync(seat2File, "utf8")).disabled, false);
+
+  assert.equal(runCli(["account", "remove", "default"]).status, 1);
+  assert.equal(runCli(["account", "remove", "nope"]).status, 1);
+  const removed = runCli(["account", "remove", "seat2"]);
+  assert.equal(removed.status, 0, removed.stderr);
+  assert.equal(fs.existsSync(seat2File), false);
+  assert.deepEqual(JSON.parse(runCli(["account", "list", "--json"]).stdout).map((a) => a.name), ["default"]);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mkTmpDir, writeFile, cliRunnerSync } from "../test-helpers/index.js";
+
+function runCli(home, args) {
+  const env = { ...process.env, HOME: home, USER: "testuser" };
+  delete env.XDG_STATE_HOME;
+  return cliRunnerSync(env)(args);
+}
+
+test("backups migrates legacy files and supports list, diff, restore and prune", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  const backupsDir = path.join(home, ".local", "state", "codex-claudecode-proxy", "backups");
+
+  const v1 = `${JSON.stringify({ env: { A: "1", B: "2" } }, null, 2)}\n`;
+  const v2 = `${JSON.stringify({ env: { A: "1", B: "3" } }, null, 2)}\n`;
+  writeFile(`${settingsPath}.backup.1700000000000`, v1, 0o600);
+  writeFile(`${settingsPath}.backup.1700000001000`, v2, 0o600);
+  writeFile(settingsPath, `${JSON.stringify({ env: { A: "1", B: "4" } }, null, 2)}\n`, 0o600);
+
+  const listed = runCli(home, ["backups", "list", "--json"]);
+  assert.equal(listed.status, 0, listed.stderr);
+  const backups = JSON.parse(listed.stdout);
+  assert.equal(backups.length, 2);
+  assert.deepEqual(backups.map((b) => b.command), ["legacy", "legacy"]);
+  assert.equal(backups[0].createdAt, new Date(1700000000000).toISOString());
+  assert.equal(backups[0].source, settingsPath);
+  assert.equal(fs.existsSync(`${settingsPath}.backup.1700000000000`), false, "legacy backup should be moved");
+
+  const diff = runCli(home, ["backups", "diff", backups[0].id]);
+  assert.equal(diff.status, 0, diff.stderr);
+  assert.match(diff.stdout, new RegExp(`^--- backup/${backups[0].id}$`, "m"));
+  assert.match(diff.stdout, /^@@ -1,6 \+1,6 @@$/m);
+  assert.match(diff.stdout, /^-    "B": "2"$/m);
+  assert.match(diff.stdout, /^\+    "B": "4"$/m);
+
+  const restored = runCli(home, ["backups", "restore", backups[0].id]);
+  assert.equal(restored.status, 0, restored.stderr);
+  assert.equal(fs.readFileSync(settingsPath, "utf8"), v1);
+
+  // The restore backed up the state it replaced, tagged with the command.
+  const after = JSON.parse(runCli(home, ["backups", "list", "--json"]).stdout);
+  assert.equal(after.length, 3);
+  assert.equal(after[2].command, "backups");
+  assert.match(fs.readFileSync(after[2].file, "utf8"), /"B": "4"/);
+
+  const pruned = runCli(home, ["backups", "prune", "--keep", "1"]);
+  assert.equal(pruned.status, 0, pruned.stderr);
+  assert.match(pruned.stdout, /pruned 2 backup\(s\), kept 1/);
+  assert.deepEqual(fs.readdirSync(backupsDir), [after[2].id]);
+
+  assert.equal(runCli(home, ["backups", "restore", "nope"]).status, 1);
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { mkTmpDir, writeFile, cliRunnerSync } from "../test-helpers/index.js";
+
+function fakeBinary(version) {
+  return `#!/usr/bin/env bash\necho 'CLIProxyAPI Version: ${version}, Commit: test'\n`;
+}
+
+test("binary list/use/prune switch between cached CLIProxyAPI releases", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  const runCli = cliRunnerSync(env);
+  const cacheDir = path.join(home, ".cli-proxy-api", "versions");
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+
+  for (const v of ["6.8.15", "6.9.0", "6.9.1"]) writeFile(path.join(cacheDir, v, "cli-proxy-api"), fakeBinary(v), 0o755);
+  // A binary installed before the cache existed is a plain file; switching away keeps a copy.
+  writeFile(proxyBin, fakeBinary("6.8.20"), 0o755);
+
+  const used = runCli(["binary", "use", "6.9.0"]);
+  assert.equal(used.status, 0, used.stderr);
+  assert.match(used.stdout, /Cached previously installed CLIProxyAPI v6\.8\.20/);
+  assert.equal(fs.readlinkSync(proxyBin), path.join(cacheDir, "6.9.0", "cli-proxy-api"));
+  assert.match(spawnSync(proxyBin, ["--help"], { encoding: "utf8" }).stdout, /6\.9\.0/);
+
+  const status = JSON.parse(runCli(["status", "--json"]).stdout);
+  assert.equal(status.cliProxyApi.version, "6.9.0");
+
+  const listed = runCli(["binary", "list", "--json"]);
+  assert.equal(listed.status, 0, listed.stderr);
+  assert.deepEqual(
+    JSON.parse(listed.stdout).map((b) => [b.version, b.active]),
+    [["6.9.1", false], ["6.9.0", true], ["6.8.20", false], ["6.8.15", false]],
+  );
+
+  assert.equal(runCli(["binary", "use", "7.0.0"]).status, 1);
+
+  const pruned = runCli(["binary", "prune", "--keep", "1"]);
+  assert.equal(pruned.status, 0, pruned.stderr);
+  assert.match(pruned.stdout, /pruned 2 release\(s\), kept 2/);
+  assert.deepEqual(fs.readdirSync(cacheDir).sort(), ["6.9.0", "6.9.1"]);
+
+  // Rolling forward again is instant: no download involved.
+  assert.equal(runCli(["binary", "use", "v6.9.1"]).status, 0);
+  assert.equal(JSON.parse(runCli(["status", "--json"]).stdout).cliProxyApi.version, "6.9.1");
+});
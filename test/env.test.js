@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { mkTmpDir, writeFile, startFakeProxy, startCli, waitFor, cliRunner, cliRunnerSync } from "../test-helpers/index.js";
+
+test("env prints the proxy variables for each shell without touching settings", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), "port: 9123\n", 0o644);
+  writeFile(path.join(home, ".cli-proxy-api", "api-key"), "ccproxy-it's\n", 0o600);
+  writeFile(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), JSON.stringify({ tiers: { haiku: { effort: "low" } } }), 0o644);
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config"), SHELL: "/bin/bash" };
+  const runCli = cliRunnerSync(env);
+
+  const bash = runCli(["env"]);
+  assert.equal(bash.status, 0, bash.stderr);
+  assert.match(bash.stdout, /^export ANTHROPIC_BASE_URL='http:\/\/127\.0\.0\.1:9123'$/m);
+  assert.match(bash.stdout, /^unset ANTHROPIC_MODEL$/m);
+  const sourced = spawnSync("bash", ["-c", 'eval "$1"; echo "$ANTHROPIC_AUTH_TOKEN|$ANTHROPIC_DEFAULT_HAIKU_MODEL|$API_TIMEOUT_MS"', "-", bash.stdout], {
+    encoding: "utf8",
+    env: { ...env, ANTHROPIC_MODEL: "claude-x" },
+  });
+  assert.equal(sourced.stdout.trim(), "ccproxy-it's|gpt-5.3-codex(low)|600000");
+
+  const fish = runCli(["env", "--shell", "fish"]);
+  assert.match(fish.stdout, /^set -gx ANTHROPIC_AUTH_TOKEN 'ccproxy-it\\'s'$/m);
+  assert.match(fish.stdout, /^set -e ANTHROPIC_API_KEY$/m);
+
+  const dotenv = runCli(["env", "--shell=dotenv"]);
+  assert.match(dotenv.stdout, /^ANTHROPIC_DEFAULT_OPUS_MODEL="gpt-5\.3-codex\(xhigh\)"$/m);
+  assert.doesNotMatch(dotenv.stdout, /ANTHROPIC_MODEL/);
+
+  assert.equal(runCli(["env", "--shell", "tcsh"]).status, 1);
+  assert.equal(fs.existsSync(path.join(home, ".claude", "settings.json")), false);
+});
+
+test("exec runs a command against the proxy and passes its exit code through", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const server = await startFakeProxy({}, { authorize: (req) => req.headers["x-api-key"] === "ccproxy-test" });
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${port}\n`, 0o644);
+  writeFile(path.join(home, ".cli-proxy-api", "api-key"), "ccproxy-test\n", 0o600);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    ANTHROPIC_API_KEY: "sk-ant-real",
+  };
+  const runCli = cliRunner(env);
+
+  const script = "const e = process.env; console.log(JSON.stringify([e.ANTHROPIC_BASE_URL, e.ANTHROPIC_AUTH_TOKEN, e.ANTHROPIC_API_KEY ?? null])); process.exit(7)";
+  const r = await runCli(["exec", "--", process.execPath, "-e", script]);
+  assert.equal(r.status, 7, `stdout:\n${r.stdout}\nstderr:\n${r.stderr}`);
+  assert.deepEqual(JSON.parse(r.stdout), [`http://127.0.0.1:${port}`, "ccproxy-test", null]);
+
+  // A terminal's Ctrl-C already reaches the child through the process group, so exec
+  // must neither forward SIGINT (the child would see it twice) nor die of it.
+  const counter = "let n = 0; process.on('SIGINT', () => { n += 1; }); process.on('SIGTERM', () => { console.log(n); process.exit(0); }); console.log('ready'); setInterval(() => {}, 1000);";
+  const exec = startCli(["exec", "--", process.execPath, "-e", counter], env);
+  t.after(() => exec.child.kill("SIGKILL"));
+  assert.equal(await waitFor(() => exec.stdout.includes("ready")), true, exec.output());
+  exec.child.kill("SIGINT");
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  exec.child.kill("SIGTERM");
+  assert.equal(await exec.closed, 0, exec.output());
+  assert.deepEqual(exec.stdout.trim().split("\n"), ["ready", "0"]);
+
+  assert.equal((await runCli(["exec"])).status, 1, "expected a command to be required");
+  assert.equal((await runCli(["exec", "--", path.join(home, "missing")])).status, 127);
+
+  // Without a running proxy or an installed service there is nothing to start.
+  server.close();
+  const down = await runCli(["exec", "--", "true"]);
+  assert.equal(down.status, 1);
+  assert.match(down.stderr, /proxy is not running on port \d+ and no service is installed/);
+});
@@ -1,10 +1,22 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import fs from "node:fs";
-import os from "node:os";
 import path from "node:path";
 import http from "node:http";
-import { spawnSync, spawn } from "node:child_process";
+import { spawnSync } from "node:child_process";
+import {
+  mkTmpDir,
+  writeFile,
+  codexAuthJson,
+  stubServiceManagers,
+  listen,
+  sendJson,
+  startFakeProxy,
+  makeReleaseTarball,
+  startFakeReleaseServer,
+  cliRunner,
+  cliRunnerSync,
+} from "../test-helpers/index.js";
 
 // Tier selectors (what Claude Code will send as `model` when you pick Opus/Sonnet/Haiku).
 // Keep UX explicit: effort is encoded in the visible model name, while upstream
@@ -13,117 +25,20 @@ const EXPECTED_OPUS_MODEL = "gpt-5.3-codex(xhigh)";
 const EXPECTED_SONNET_MODEL = "gpt-5.3-codex(high)";
 const EXPECTED_HAIKU_MODEL = "gpt-5.3-codex(medium)";
 
-function mkTmpDir(prefix) {
-  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
-}
-
-function writeFile(p, content, mode) {
-  fs.mkdirSync(path.dirname(p), { recursive: true });
-  fs.writeFileSync(p, content, "utf8");
-  if (mode != null) fs.chmodSync(p, mode);
-}
-
-function startFakeProxyServer() {
-  const server = http.createServer((req, res) => {
-    if (!req.url) {
-      res.statusCode = 400;
-      res.end();
-      return;
-    }
-
-    if (req.url === "/v1/models" && req.method === "GET") {
-      res.statusCode = 200;
-      res.setHeader("content-type", "application/json");
-      res.end(JSON.stringify({ data: [] }));
-      return;
-    }
-
-    if (req.url === "/v1/responses" && req.method === "POST") {
-      let body = "";
-      req.setEncoding("utf8");
-      req.on("data", (d) => { body += d; });
-      req.on("end", () => {
-        let model = "";
-        try {
-          model = JSON.parse(body || "{}")?.model || "";
-        } catch {
-          model = "";
-        }
-
-        const effort =
-          model === EXPECTED_OPUS_MODEL ? "xhigh" :
-          model === EXPECTED_SONNET_MODEL ? "high" :
-          model === EXPECTED_HAIKU_MODEL ? "medium" :
-          "xhigh";
-
-        res.statusCode = 200;
-        res.setHeader("content-type", "application/json");
-        res.end(JSON.stringify({ reasoning: { effort } }));
-      });
-      return;
-    }
-
-    res.statusCode = 404;
-    res.end();
-  });
-
-  return new Promise((resolve, reject) => {
-    server.listen(0, "127.0.0.1", () => {
-      const addr = server.address();
-      if (!addr || typeof addr !== "object") {
-        reject(new Error("failed to determine listen port"));
-        return;
-      }
-      resolve({ server, port: addr.port });
-    });
-  });
-}
-
-function writeStubLaunchctl(stubBinDir) {
-  const p = path.join(stubBinDir, "launchctl");
-  writeFile(
-    p,
-    `#!/usr/bin/env bash
-set -euo pipefail
-# no-op stub: avoid touching the real launchd during tests
-exit 0
-`,
-    0o755,
-  );
-}
-
-function makeCodexAuthJson() {
-  // plutil -extract works with JSON on macOS, so keep this shape.
-  return JSON.stringify(
-    {
-      tokens: {
-        access_token: "test-access-token",
-        id_token: "test-id-token",
-        refresh_token: "test-refresh-token",
-        account_id: "test-account-id",
-      },
-      last_refresh: "0",
-    },
-    null,
-    2,
-  );
-}
-
 test("install succeeds without --yes (non-interactive only)", async (t) => {
   const home = mkTmpDir("codex-claudecode-proxy-home-");
-  const stubBin = path.join(home, "stub-bin");
-  fs.mkdirSync(stubBin, { recursive: true });
-  writeStubLaunchctl(stubBin);
+  const stubBin = stubServiceManagers(home);
 
   // Required by installFlow().
-  writeFile(path.join(home, ".codex", "auth.json"), makeCodexAuthJson(), 0o600);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
 
   // Skip network download of CLIProxyAPI by pre-creating the binary.
   const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
   writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
 
-  const { server, port } = await startFakeProxyServer();
+  const server = await startFakeProxy();
   t.after(() => server.close());
+  const port = server.address().port;
 
   // Force installer to use the already-configured port without requiring flags.
   writeFile(
@@ -132,29 +47,8 @@ test("install succeeds without --yes (non-interactive only)", async (t) => {
     0o644,
   );
 
-  const cli = path.resolve(process.cwd(), "bin", "codex-claudecode-proxy.js");
-  const r = await new Promise((resolve) => {
-    const child = spawn(
-      process.execPath,
-      [cli, "install"],
-      {
-        env: {
-          ...process.env,
-          HOME: home,
-          USER: "testuser",
-          PATH: `${stubBin}:${process.env.PATH || ""}`,
-        },
-        stdio: ["ignore", "pipe", "pipe"],
-      },
-    );
-    let stdout = "";
-    let stderr = "";
-    child.stdout?.setEncoding("utf8");
-    child.stderr?.setEncoding("utf8");
-    child.stdout?.on("data", (d) => { stdout += d; });
-    child.stderr?.on("data", (d) => { stderr += d; });
-    child.on("close", (code) => resolve({ status: code, stdout, stderr }));
-  });
+  const runCli = cliRunner({ ...process.env, HOME: home, USER: "testuser", PATH: `${stubBin}:${process.env.PATH || ""}` });
+  const r = await runCli(["install"]);
 
   assert.equal(
     r.status,
@@ -197,21 +91,20 @@ test("install succeeds without --yes (non-interactive only)", async (t) => {
   assert.match(cfg, new RegExp(`\\\"model\\\"\\:\\s*\\\"gpt-5\\.3-codex\\\"`, "m"), "expected upstream model rewrite to gpt-5.3-codex");
 });
 
-test("install cleans existing install artifacts on re-run", async (t) => {
+test("install re-run keeps user files and config.yaml customizations", async (t) => {
   const home = mkTmpDir("codex-claudecode-proxy-home-");
-  const stubBin = path.join(home, "stub-bin");
-  fs.mkdirSync(stubBin, { recursive: true });
-  writeStubLaunchctl(stubBin);
+  const stubBin = stubServiceManagers(home);
 
   // Required by installFlow().
-  writeFile(path.join(home, ".codex", "auth.json"), makeCodexAuthJson(), 0o600);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
 
   // Skip network download of CLIProxyAPI by pre-creating the binary.
   const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
   writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
 
-  const { server, port } = await startFakeProxyServer();
+  const server = await startFakeProxy();
   t.after(() => server.close());
+  const port = server.address().port;
 
   // Force installer to use the already-configured port without requiring flags.
   writeFile(
@@ -220,30 +113,8 @@ test("install cleans existing install artifacts on re-run", async (t) => {
     0o644,
   );
 
-  const cli = path.resolve(process.cwd(), "bin", "codex-claudecode-proxy.js");
-
-  const runInstall = async () => await new Promise((resolve) => {
-    const child = spawn(
-      process.execPath,
-      [cli, "install"],
-      {
-        env: {
-          ...process.env,
-          HOME: home,
-          USER: "testuser",
-          PATH: `${stubBin}:${process.env.PATH || ""}`,
-        },
-        stdio: ["ignore", "pipe", "pipe"],
-      },
-    );
-    let stdout = "";
-    let stderr = "";
-    child.stdout?.setEncoding("utf8");
-    child.stderr?.setEncoding("utf8");
-    child.stdout?.on("data", (d) => { stdout += d; });
-    child.stderr?.on("data", (d) => { stderr += d; });
-    child.on("close", (code) => resolve({ status: code, stdout, stderr }));
-  });
+  const runCli = cliRunner({ ...process.env, HOME: home, USER: "testuser", PATH: `${stubBin}:${process.env.PATH || ""}` });
+  const runInstall = () => runCli(["install"]);
 
   const r1 = await runInstall();
   assert.equal(
@@ -252,10 +123,26 @@ test("install cleans existing install artifacts on re-run", async (t) => {
     `expected exit 0\nstdout:\n${r1.stdout || ""}\nstderr:\n${r1.stderr || ""}`,
   );
 
-  // Create a sentinel file that should be removed by the next install.
+  // Hand-made changes the next install must keep.
   const sentinel = path.join(home, ".cli-proxy-api", "sentinel.txt");
   writeFile(sentinel, "junk\n", 0o644);
-  assert.equal(fs.existsSync(sentinel), true);
+  const userAuth = path.join(home, ".cli-proxy-api", "auths", "codex-second-account.json");
+  writeFile(userAuth, "{}\n", 0o600);
+  const configPath = path.join(home, ".cli-proxy-api", "config.yaml");
+  const customized = fs.readFileSync(configPath, "utf8")
+    .replace(/^request-retry: 6$/m, "request-retry: 1")
+    .replace(/^streaming:$/m, "streaming:\n  user-option: true")
+    .replace(/^payload:\n  override:$/m, [
+      "payload:",
+      "  override:",
+      "    - models:",
+      "        - name: \"my-model\"",
+      "          protocol: \"codex\"",
+      "      params:",
+      "        \"text.verbosity\": \"low\"",
+    ].join("\n"))
+    .concat("proxy-url: \"socks5://127.0.0.1:1080\"\napi-keys:\n  - \"user-key\"\n");
+  fs.writeFileSync(configPath, customized);
 
   const r2 = await runInstall();
   assert.equal(
@@ -263,7 +150,8 @@ test("install cleans existing install artifacts on re-run", async (t) => {
     0,
     `expected exit 0\nstdout:\n${r2.stdout || ""}\nstderr:\n${r2.stderr || ""}`,
   );
-  assert.equal(fs.existsSync(sentinel), false, "expected install to remove previous proxyDir contents");
+  assert.equal(fs.existsSync(sentinel), true, "expected install to keep unrelated proxyDir contents");
+  assert.equal(fs.readFileSync(userAuth, "utf8"), "{}\n");
 
   // Claude settings should be rewritten and still point to the configured port.
   const settingsPath = path.join(home, ".claude", "settings.json");
@@ -274,27 +162,39 @@ test("install cleans existing install artifacts on re-run", async (t) => {
   assert.equal(settings?.env?.ANTHROPIC_DEFAULT_SONNET_MODEL, EXPECTED_SONNET_MODEL);
   assert.equal(settings?.env?.ANTHROPIC_DEFAULT_HAIKU_MODEL, EXPECTED_HAIKU_MODEL);
 
-  // Config should still keep the configured port.
+  // Config should still keep the configured port, the user's settings and overrides,
+  // while the keys this tool owns are reset and its own overrides are not duplicated.
   const cfg = fs.readFileSync(path.join(home, ".cli-proxy-api", "config.yaml"), "utf8");
   assert.match(cfg, new RegExp(`^port:\\s*${port}\\s*$`, "m"));
+  assert.match(cfg, /^proxy-url: "socks5:\/\/127\.0\.0\.1:1080"$/m);
+  assert.match(cfg, /^api-keys:\n {2}- "user-key"$/m);
+  assert.match(cfg, /^ {2}user-option: true$/m);
+  assert.match(cfg, /^request-retry: 6$/m);
+  assert.match(cfg, /- name: "my-model"\n {10}protocol: "codex"\n {6}params:\n {8}"text.verbosity": "low"/);
+  assert.equal(cfg.match(/- name: "gpt-5\.3-codex\(xhigh\)"/g).length, 1);
+  assert.equal(cfg.match(/- name: "gpt-\*"/g).length, 1);
+
+  // Flow-style lists keep the user's items too; ones too complex to edit are refused.
+  const flowCfg = cfg.replace(/^api-keys:\n(?: {2}- .*\n)+/gm, "").concat(`api-keys: ["user-key", 'other-key'] # mine\n`);
+  fs.writeFileSync(configPath, flowCfg);
+  const r3 = await runInstall();
+  assert.equal(r3.status, 0, `stdout:\n${r3.stdout || ""}\nstderr:\n${r3.stderr || ""}`);
+  const merged = fs.readFileSync(configPath, "utf8");
+  assert.match(merged, /^api-keys: # mine\n {2}- "ccproxy-[0-9a-f]+" # managed by codex-claudecode-proxy\n {2}- "user-key"\n {2}- 'other-key'$/m);
+  const inline = merged.replace(/^ {2}override:\n(?: {4,}.*\n)+/m, "  override: [{ models: [{ name: \"x\" }] }]\n");
+  fs.writeFileSync(configPath, inline);
+  const r4 = await runInstall();
+  assert.equal(r4.status, 1);
+  assert.match(r4.stderr, /cannot merge "override: \[\{ models/);
+  assert.equal(fs.readFileSync(configPath, "utf8"), inline);
 });
 
 test("uninstall succeeds without --yes (non-interactive only)", () => {
   const home = mkTmpDir("codex-claudecode-proxy-home-");
-  const stubBin = path.join(home, "stub-bin");
-  fs.mkdirSync(stubBin, { recursive: true });
-  writeStubLaunchctl(stubBin);
+  const stubBin = stubServiceManagers(home);
 
-  const cli = path.resolve(process.cwd(), "bin", "codex-claudecode-proxy.js");
-  const r = spawnSync(process.execPath, [cli, "uninstall"], {
-    encoding: "utf8",
-    env: {
-      ...process.env,
-      HOME: home,
-      USER: "testuser",
-      PATH: `${stubBin}:${process.env.PATH || ""}`,
-    },
-  });
+  const runCli = cliRunnerSync({ ...process.env, HOME: home, USER: "testuser", PATH: `${stubBin}:${process.env.PATH || ""}` });
+  const r = runCli(["uninstall"]);
 
   assert.equal(
     r.status,
@@ -302,3 +202,910 @@ test("uninstall succeeds without --yes (non-interactive only)", () => {
     `expected exit 0\nstdout:\n${r.stdout || ""}\nstderr:\n${r.stderr || ""}`,
   );
 });
+
+test("install writes systemd user units on Linux", { skip: process.platform !== "linux" }, async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`,
+    0o644,
+  );
+
+  const env = { ...process.env, HOME: home, USER: "testuser", PATH: `${stubBin}:${process.env.PATH || ""}` };
+  delete env.XDG_CONFIG_HOME;
+  const runCli = cliRunner(env);
+  const r = await runCli(["install", "--token-url", "http://127.0.0.1:9/oauth/token"]);
+  assert.equal(r.status, 0, `expected exit 0\nstdout:\n${r.stdout || ""}\nstderr:\n${r.stderr || ""}`);
+
+  // Later runs without the flag keep using it, so the endpoint is saved.
+  const toolConfig = JSON.parse(fs.readFileSync(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), "utf8"));
+  assert.equal(toolConfig.tokenUrl, "http://127.0.0.1:9/oauth/token");
+
+  const unitDir = path.join(home, ".config", "systemd", "user");
+  const proxyUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api.service"), "utf8");
+  assert.match(proxyUnit, /^ExecStart=".*cli-proxy-api" --config ".*config\.yaml"$/m);
+  assert.match(proxyUnit, /^Restart=always$/m);
+  const pathUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.path"), "utf8");
+  assert.match(pathUnit, new RegExp(`^PathChanged=${path.join(home, ".codex", "auth.json").replace(/[.]/g, "\\.")}$`, "m"));
+  const syncUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.service"), "utf8");
+  assert.match(syncUnit, /^ExecStart=".*node[^"]*" ".*codex-claudecode-proxy\.mjs" "sync-token" /m);
+  const refreshUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-refresh.service"), "utf8");
+  // The job can't see the installer's env or a relocated tool config, so it gets the endpoint.
+  assert.match(refreshUnit, /^ExecStart=".*codex-claudecode-proxy\.mjs" "refresh-token" "--all" "--token-url" "http:\/\/127\.0\.0\.1:9\/oauth\/token"$/m);
+  assert.match(fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-refresh.timer"), "utf8"), /^OnUnitActiveSec=900s$/m);
+  assert.equal(fs.existsSync(path.join(home, ".cli-proxy-api", "codex-claudecode-proxy.mjs")), true);
+
+  // The token sync must work without macOS plutil.
+  const synced = JSON.parse(
+    fs.readFileSync(path.join(home, ".cli-proxy-api", "auths", "codex-from-codex-cli.json"), "utf8"),
+  );
+  assert.equal(synced.access_token, "test-access-token");
+  assert.equal(synced.refresh_token, "test-refresh-token");
+
+  // Likewise for an endpoint from a tool config file the job wouldn't find on its own.
+  const relocated = path.join(home, "elsewhere", "config.json");
+  writeFile(relocated, JSON.stringify({ tokenUrl: "http://127.0.0.1:9/custom/token" }), 0o600);
+  const moved = await runCli(["install"], { ...env, CODEX_CLAUDECODE_PROXY_CONFIG: relocated });
+  assert.equal(moved.status, 0, `stdout:\n${moved.stdout}\nstderr:\n${moved.stderr}`);
+  assert.match(
+    fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-refresh.service"), "utf8"),
+    /^ExecStart=.* "refresh-token" "--all" "--token-url" "http:\/\/127\.0\.0\.1:9\/custom\/token"$/m,
+  );
+
+  const u = await runCli(["uninstall"]);
+  assert.equal(u.status, 0, `expected exit 0\nstdout:\n${u.stdout || ""}\nstderr:\n${u.stderr || ""}`);
+  assert.equal(fs.existsSync(path.join(unitDir, "cli-proxy-api.service")), false);
+});
+
+test("install applies tier overrides from the tool config file and flags", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`,
+    0o644,
+  );
+
+  const toolConfigPath = path.join(home, ".config", "codex-claudecode-proxy", "config.json");
+  writeFile(
+    toolConfigPath,
+    JSON.stringify({ tiers: { haiku: { model: "gpt-5.1-codex-mini", effort: "low" } } }),
+    0o644,
+  );
+
+  const runCli = cliRunner({
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  });
+  const r = await runCli(["install", "--opus", "effort=high", "--haiku=text.verbosity=low"]);
+  assert.equal(r.status, 0, `expected exit 0\nstdout:\n${r.stdout || ""}\nstderr:\n${r.stderr || ""}`);
+
+  const settings = JSON.parse(fs.readFileSync(path.join(home, ".claude", "settings.json"), "utf8"));
+  assert.equal(settings?.env?.ANTHROPIC_DEFAULT_OPUS_MODEL, "gpt-5.3-codex(high)");
+  assert.equal(settings?.env?.ANTHROPIC_DEFAULT_SONNET_MODEL, EXPECTED_SONNET_MODEL);
+  assert.equal(settings?.env?.ANTHROPIC_DEFAULT_HAIKU_MODEL, "gpt-5.1-codex-mini(low)");
+
+  const cfg = fs.readFileSync(path.join(home, ".cli-proxy-api", "config.yaml"), "utf8");
+  // Opus and Sonnet now share a selector, so only one override block is emitted for it.
+  assert.equal(cfg.split(`name: "gpt-5.3-codex(high)"`).length - 1, 1);
+  assert.match(cfg, /name: "gpt-5\.1-codex-mini\(low\)"\n\s+protocol: "codex"\n\s+params:\n\s+"model": "gpt-5\.1-codex-mini"\n\s+"reasoning\.effort": "low"\n\s+"reasoning\.summary": "auto"\n\s+"text\.verbosity": "low"/);
+
+  // Flag overrides persist so a plain re-install keeps them.
+  const toolConfig = JSON.parse(fs.readFileSync(toolConfigPath, "utf8"));
+  assert.equal(toolConfig.tiers.opus.effort, "high");
+  assert.equal(toolConfig.tiers.haiku.model, "gpt-5.1-codex-mini");
+  assert.equal(toolConfig.tiers.haiku.params["text.verbosity"], "low");
+});
+
+test("install rejects tiers that share a selector with conflicting params", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  const runCli = cliRunnerSync({
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  });
+  const r = runCli(["install", "--opus", "effort=high,text.verbosity=low"]);
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /opus and sonnet both select gpt-5\.3-codex\(high\) but set different params/);
+});
+
+test("doctor reports problems and --fix repairs settings and stale token", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`,
+    0o644,
+  );
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+
+  const installed = await runCli(["install"]);
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+
+  // Break things: point Claude elsewhere, rotate the Codex token without syncing.
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  const settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  settings.env.ANTHROPIC_BASE_URL = "http://127.0.0.1:1";
+  delete settings.env.ANTHROPIC_AUTH_TOKEN;
+  fs.writeFileSync(settingsPath, JSON.stringify(settings));
+  const expiredJwt = [
+    Buffer.from(JSON.stringify({ alg: "none" })).toString("base64url"),
+    Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) - 3600 })).toString("base64url"),
+    "sig",
+  ].join(".");
+  const codexAuth = JSON.parse(codexAuthJson());
+  codexAuth.tokens.access_token = "rotated-token";
+  codexAuth.tokens.id_token = expiredJwt;
+  writeFile(path.join(home, ".codex", "auth.json"), JSON.stringify(codexAuth), 0o600);
+
+  // A Node.js upgrade removed the node binary the token jobs were installed with.
+  const jobFiles = process.platform === "darwin"
+    ? ["token-sync", "token-refresh"].map((j) => path.join(home, "Library", "LaunchAgents", `com.testuser.cli-proxy-api-${j}.plist`))
+    : ["token-sync", "token-refresh"].map((j) => path.join(home, ".config", "systemd", "user", `cli-proxy-api-${j}.service`));
+  const goneNode = path.join(home, "old-node", "bin", "node");
+  for (const f of jobFiles) fs.writeFileSync(f, fs.readFileSync(f, "utf8").split(process.execPath).join(goneNode));
+
+  const before = await runCli(["doctor"]);
+  assert.equal(before.status, 1, `stdout:\n${before.stdout}\nstderr:\n${before.stderr}`);
+  assert.match(before.stdout, new RegExp(`\\[FAIL\\] token job node: ${goneNode.replace(/[.]/g, "\\.")} no longer exists`));
+  assert.match(before.stdout, /\[FAIL\] synced auth: stale/);
+  assert.match(before.stdout, /\[FAIL\] claude settings: ANTHROPIC_BASE_URL is "http:\/\/127\.0\.0\.1:1"/);
+  assert.match(before.stdout, /\[FAIL\] codex id token: expired/);
+  assert.match(before.stdout, /\[PASS\] proxy health/);
+
+  const fixed = await runCli(["doctor", "--fix"]);
+  assert.match(fixed.stdout, /re-synced/);
+  assert.match(fixed.stdout, /restored the proxy settings in .*settings\.json \(ANTHROPIC_BASE_URL=/);
+  assert.equal(JSON.parse(fs.readFileSync(settingsPath, "utf8")).env.ANTHROPIC_BASE_URL, `http://127.0.0.1:${port}`);
+  assert.equal(JSON.parse(fs.readFileSync(settingsPath, "utf8")).env.ANTHROPIC_AUTH_TOKEN, fs.readFileSync(path.join(home, ".cli-proxy-api", "api-key"), "utf8").trim());
+  const synced = JSON.parse(
+    fs.readFileSync(path.join(home, ".cli-proxy-api", "auths", "codex-from-codex-cli.json"), "utf8"),
+  );
+  assert.equal(synced.access_token, "rotated-token");
+  assert.match(fixed.stdout, /pointed the token jobs at /);
+  for (const f of jobFiles) assert.equal(fs.readFileSync(f, "utf8").includes(goneNode), false);
+  assert.match(fixed.stdout, /\[PASS\] token job node: /);
+  // The expired id token cannot be fixed locally, so doctor still fails.
+  assert.equal(fixed.status, 1);
+  assert.match(fixed.stdout, /1 failed/);
+});
+
+test("status --json reports install state and exits 1 when unhealthy", async () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\necho 'CLIProxyAPI Version: 6.9.0'\n", 0o755);
+
+  const server = await startFakeProxy();
+  const port = server.address().port;
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`,
+    0o644,
+  );
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+
+  const installed = await runCli(["install"]);
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+
+  const healthy = await runCli(["status", "--json"]);
+  assert.equal(healthy.status, 0, healthy.stderr);
+  const status = JSON.parse(healthy.stdout);
+  assert.equal(status.port, port);
+  assert.equal(status.healthy, true);
+  assert.equal(status.cliProxyApi.version, "6.9.0");
+  assert.equal(status.claudeSettings.pointsAtProxy, true);
+  assert.deepEqual(status.tiers.opus, {
+    selector: EXPECTED_OPUS_MODEL,
+    model: "gpt-5.3-codex",
+    effort: "xhigh",
+    params: { "reasoning.summary": "auto" },
+  });
+  assert.equal(status.tiers.haiku.effort, "medium");
+  assert.equal(status.token.present, true);
+  assert.equal(status.token.accessTokenExpiresAt, null, "test tokens are not JWTs");
+  assert.ok(Array.isArray(status.service?.jobs));
+
+  await new Promise((r) => server.close(r));
+  const down = await runCli(["status", "--json"]);
+  assert.equal(down.status, 1);
+  assert.equal(JSON.parse(down.stdout).healthy, false);
+});
+
+test("uninstall restores pre-install settings exactly and keeps keys changed since", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`,
+    0o644,
+  );
+
+  const original = {
+    theme: "dark",
+    env: {
+      ANTHROPIC_BASE_URL: "https://llm-gateway.example.com",
+      ANTHROPIC_MODEL: "claude-custom",
+      BASH_DEFAULT_TIMEOUT_MS: "5000",
+      OTHER: "kept",
+    },
+  };
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  writeFile(settingsPath, JSON.stringify(original), 0o600);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+
+  // Install twice: the re-install must not record the first install's values as originals.
+  for (let i = 0; i < 2; i += 1) {
+    const r = await runCli(["install"]);
+    assert.equal(r.status, 0, `stdout:\n${r.stdout}\nstderr:\n${r.stderr}`);
+  }
+  const installed = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  assert.equal(installed.env.ANTHROPIC_BASE_URL, `http://127.0.0.1:${port}`);
+  assert.equal("ANTHROPIC_MODEL" in installed.env, false);
+  assert.equal(installed.env.BASH_DEFAULT_TIMEOUT_MS, "120000");
+
+  // The user tweaks one of the keys we manage after installing.
+  installed.env.MCP_TIMEOUT = "45000";
+  fs.writeFileSync(settingsPath, JSON.stringify(installed));
+
+  const u = await runCli(["uninstall"]);
+  assert.equal(u.status, 0, `stdout:\n${u.stdout}\nstderr:\n${u.stderr}`);
+  assert.match(u.stderr, /MCP_TIMEOUT .* was changed after install; leaving it as is/);
+
+  const restored = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  assert.deepEqual(restored, { ...original, env: { ...original.env, MCP_TIMEOUT: "45000" } });
+  assert.equal(fs.existsSync(path.join(home, ".cli-proxy-api", "install-manifest.json")), false);
+});
+
+function snapshotTree(root) {
+  const out = {};
+  const walk = (dir) => {
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        out[`${path.relative(root, p)}${path.sep}`] = "dir";
+        walk(p);
+      } else {
+        out[path.relative(root, p)] = `${fs.statSync(p).mode}:${fs.readFileSync(p, "utf8")}`;
+      }
+    }
+  };
+  walk(root);
+  return out;
+}
+
+test("--dry-run and plan print the changes without touching the system", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  const configFile = path.join(home, ".cli-proxy-api", "config.yaml");
+  writeFile(configFile, `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  writeFile(settingsPath, `${JSON.stringify({ env: { OTHER: "kept" } }, null, 2)}\n`, 0o600);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    XDG_STATE_HOME: path.join(home, ".local", "state"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+  const serviceCommand = process.platform === "darwin" ? /^ {2}\$ launchctl bootstrap /m : /^ {2}\$ systemctl --user enable /m;
+
+  const before = snapshotTree(home);
+  const planned = await runCli(["install", "--dry-run"]);
+  assert.equal(planned.status, 0, `stdout:\n${planned.stdout}\nstderr:\n${planned.stderr}`);
+  assert.deepEqual(snapshotTree(home), before);
+  assert.match(planned.stdout, /dry run: nothing was changed/);
+  assert.match(planned.stdout, new RegExp(`^--- ${settingsPath}$`, "m"));
+  assert.match(planned.stdout, new RegExp(`^\\+    "ANTHROPIC_BASE_URL": "http://127\\.0\\.0\\.1:${port}",$`, "m"));
+  assert.match(planned.stdout, new RegExp(`^--- ${configFile}$`, "m"));
+  assert.match(planned.stdout, /^\+ {8}- name: "gpt-5\.3-codex\(xhigh\)"$/m);
+  assert.match(planned.stdout, /^Paths to delete:\n {2}\(none\)$/m);
+  assert.match(planned.stdout, /codex-from-codex-cli\.json \(contents hidden: contains credentials\)/);
+  assert.doesNotMatch(planned.stdout, /test-refresh-token/);
+  assert.match(planned.stdout, serviceCommand);
+
+  const installed = await runCli(["install"]);
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+
+  const afterInstall = snapshotTree(home);
+  const purge = await runCli(["plan", "purge"]);
+  assert.equal(purge.status, 0, `stdout:\n${purge.stdout}\nstderr:\n${purge.stderr}`);
+  assert.deepEqual(snapshotTree(home), afterInstall);
+  assert.match(purge.stdout, /Plan for "purge"/);
+  assert.match(purge.stdout, new RegExp(`^  ${proxyBin}$`, "m"));
+  assert.match(purge.stdout, new RegExp(`^-    "ANTHROPIC_BASE_URL": "http://127\\.0\\.0\\.1:${port}",$`, "m"));
+
+  assert.equal((await runCli(["status", "--dry-run"])).status, 1);
+});
+
+test("install --scope writes project/local settings and uninstall restores them", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const project = mkTmpDir("codex-claudecode-proxy-project-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  writeFile(path.join(home, ".local", "bin", "cli-proxy-api"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+
+  const projectSettings = path.join(project, ".claude", "settings.json");
+  const localSettings = path.join(project, ".claude", "settings.local.json");
+  const userSettings = path.join(home, ".claude", "settings.json");
+  const original = { permissions: { allow: ["Bash(npm test)"] } };
+  writeFile(projectSettings, JSON.stringify(original), 0o644);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env, { cwd: project });
+  const proxyUrl = `http://127.0.0.1:${port}`;
+
+  for (const scope of ["project", "local"]) {
+    const r = await runCli(["install", "--scope", scope]);
+    assert.equal(r.status, 0, `stdout:\n${r.stdout}\nstderr:\n${r.stderr}`);
+  }
+  assert.equal(fs.existsSync(userSettings), false, "user settings must not be touched");
+  assert.equal(JSON.parse(fs.readFileSync(projectSettings, "utf8")).env.ANTHROPIC_BASE_URL, proxyUrl);
+  assert.deepEqual(JSON.parse(fs.readFileSync(projectSettings, "utf8")).permissions, original.permissions);
+  assert.equal(JSON.parse(fs.readFileSync(localSettings, "utf8")).env.ANTHROPIC_BASE_URL, proxyUrl);
+
+  const s = await runCli(["status", "--json"]);
+  assert.equal(s.status, 0, `stdout:\n${s.stdout}\nstderr:\n${s.stderr}`);
+  const status = JSON.parse(s.stdout);
+  assert.equal(status.claudeSettings.pointsAtProxy, false);
+  assert.deepEqual(
+    status.claudeSettings.scopes.filter((x) => x.pointsAtProxy).map((x) => [x.scope, x.path]).sort(),
+    [["local", localSettings], ["project", projectSettings]],
+  );
+  assert.equal(status.tiers.opus.selector, EXPECTED_OPUS_MODEL);
+
+  // doctor checks and repairs the scoped files, never the user settings.
+  const healthy = await runCli(["doctor"]);
+  assert.doesNotMatch(healthy.stdout, /\[FAIL\] claude settings/);
+  assert.match(healthy.stdout, new RegExp(`\\[PASS\\] claude settings: .*\\(${projectSettings.replace(/[.]/g, "\\.")}\\)`));
+  const broken = JSON.parse(fs.readFileSync(projectSettings, "utf8"));
+  delete broken.env.ANTHROPIC_BASE_URL;
+  broken.env.ANTHROPIC_DEFAULT_HAIKU_MODEL = "claude-haiku";
+  fs.writeFileSync(projectSettings, JSON.stringify(broken));
+  const fixed = await runCli(["doctor", "--fix"]);
+  assert.match(fixed.stdout, /ANTHROPIC_BASE_URL is unset, expected .*ANTHROPIC_DEFAULT_HAIKU_MODEL is "claude-haiku"/);
+  assert.match(fixed.stdout, /restored the proxy settings in .*\.claude\/settings\.json/);
+  assert.equal(JSON.parse(fs.readFileSync(projectSettings, "utf8")).env.ANTHROPIC_BASE_URL, proxyUrl);
+  assert.equal(JSON.parse(fs.readFileSync(projectSettings, "utf8")).env.ANTHROPIC_DEFAULT_HAIKU_MODEL, EXPECTED_HAIKU_MODEL);
+  assert.equal(fs.existsSync(userSettings), false, "doctor --fix must not route every session through the proxy");
+
+  const u1 = await runCli(["uninstall", "--scope", "local"]);
+  assert.equal(u1.status, 0, `stdout:\n${u1.stdout}\nstderr:\n${u1.stderr}`);
+  assert.match(u1.stdout, /proxy services left running/);
+  assert.equal(JSON.parse(fs.readFileSync(localSettings, "utf8")).env, undefined);
+  assert.equal(JSON.parse(fs.readFileSync(projectSettings, "utf8")).env.ANTHROPIC_BASE_URL, proxyUrl);
+
+  const u2 = await runCli(["uninstall"]);
+  assert.equal(u2.status, 0, `stdout:\n${u2.stdout}\nstderr:\n${u2.stderr}`);
+  assert.deepEqual(JSON.parse(fs.readFileSync(projectSettings, "utf8")), original);
+  assert.equal(fs.existsSync(userSettings), false);
+});
+
+test("install validates --cli-proxy-api-version and keeps a matching pinned binary", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  writeFile(
+    path.join(home, ".local", "bin", "cli-proxy-api"),
+    "#!/usr/bin/env bash\necho 'CLIProxyAPI Version: 6.9.1, Commit: test'\nexit 0\n",
+    0o755,
+  );
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+
+  const tooOld = await runCli(["install", "--cli-proxy-api-version", "6.0.0"]);
+  assert.equal(tooOld.status, 1);
+  assert.match(tooOld.stderr, /6\.0\.0 is older than the minimum supported/);
+
+  const malformed = await runCli(["install", "--cli-proxy-api-version=latest"]);
+  assert.equal(malformed.status, 1);
+  assert.match(malformed.stderr, /expects X\.Y\.Z/);
+
+  const pinned = await runCli(["install", "--cli-proxy-api-version", "v6.9.1"]);
+  assert.equal(pinned.status, 0, `stdout:\n${pinned.stdout}\nstderr:\n${pinned.stderr}`);
+  assert.match(pinned.stdout, /CLIProxyAPI already installed: .* \(v6\.9\.1, pinned\)/);
+});
+
+test("install downloads CLIProxyAPI from a mirror or a local tarball and verifies checksums", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+
+  const releaseDir = path.join(home, "release");
+  fs.mkdirSync(releaseDir, { recursive: true });
+  const { name, sha } = makeReleaseTarball(releaseDir, "6.9.2");
+
+  const bad = await startFakeReleaseServer(releaseDir, { name, checksums: `${"0".repeat(64)}  ${name}\n` });
+  t.after(() => bad.close());
+  const good = await startFakeReleaseServer(releaseDir, { name, checksums: `${sha}  ${name}\n` });
+  t.after(() => good.close());
+  const unlisted = await startFakeReleaseServer(releaseDir, { name, checksums: `${sha}  other.tar.gz\n` });
+  t.after(() => unlisted.close());
+  const oldDir = path.join(home, "old-release");
+  fs.mkdirSync(oldDir);
+  const oldRelease = makeReleaseTarball(oldDir, "6.0.0");
+  const outdated = await startFakeReleaseServer(oldDir, { name: oldRelease.name, checksums: `${oldRelease.sha}  ${oldRelease.name}\n` });
+  t.after(() => outdated.close());
+  // Private temp dir, to check that refused downloads are cleaned up.
+  const tmpDir = path.join(home, "tmp");
+  fs.mkdirSync(tmpDir);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+    TMPDIR: tmpDir,
+  };
+  const runCli = cliRunner(env);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+
+  const missing = await runCli(["install", "--cli-proxy-api-mirror", `http://127.0.0.1:${unlisted.address().port}/releases`]);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /checksums\.txt has no entry for CLIProxyAPI_6\.9\.2_/);
+  assert.deepEqual(fs.readdirSync(tmpDir), []);
+
+  // Refused after extraction: the extracted binary must not stay behind either.
+  const refused = await runCli(["install", "--cli-proxy-api-mirror", `http://127.0.0.1:${outdated.address().port}/releases`]);
+  assert.equal(refused.status, 1);
+  assert.match(refused.stderr, /CLIProxyAPI v6\.0\.0 is older than the minimum supported/);
+  assert.deepEqual(fs.readdirSync(tmpDir), []);
+
+  const mismatch = await runCli(["install", "--cli-proxy-api-mirror", `http://127.0.0.1:${bad.address().port}/releases`]);
+  assert.equal(mismatch.status, 1);
+  assert.match(mismatch.stderr, /checksum mismatch for CLIProxyAPI_6\.9\.2_/);
+  assert.equal(fs.existsSync(proxyBin), false, "a binary that failed verification must not be installed");
+  assert.deepEqual(fs.readdirSync(tmpDir), []);
+
+  const mirrored = await runCli(["install", "--cli-proxy-api-mirror", `http://127.0.0.1:${good.address().port}/releases/`]);
+  assert.equal(mirrored.status, 0, `stdout:\n${mirrored.stdout}\nstderr:\n${mirrored.stderr}`);
+  assert.match(mirrored.stdout, /Verified CLIProxyAPI_6\.9\.2_.* \(sha256 [0-9a-f]{64}\)/);
+  assert.match(mirrored.stdout, /Installed: .*cli-proxy-api \(v6\.9\.2\)/);
+
+  // Offline: a local tarball replaces the installed binary, verified by the release's
+  // checksums file next to it; other files that merely end in checksums.txt are ignored.
+  const offlineDir = path.join(home, "offline");
+  fs.mkdirSync(offlineDir, { recursive: true });
+  const offline = makeReleaseTarball(offlineDir, "6.9.3");
+  writeFile(path.join(offlineDir, "CLIProxyAPI_6.9.3_checksums.txt"), `${offline.sha}  ${offline.name}\n`);
+  const local = await runCli(["install", "--cli-proxy-api-tarball", path.join(offlineDir, offline.name)]);
+  assert.equal(local.status, 0, `stdout:\n${local.stdout}\nstderr:\n${local.stderr}`);
+  assert.match(local.stdout, /Verified CLIProxyAPI_6\.9\.3_/);
+  assert.match(local.stdout, /Installed: .*cli-proxy-api \(v6\.9\.3\)/);
+  assert.match(spawnSync(proxyBin, ["--help"], { encoding: "utf8" }).stdout, /6\.9\.3/);
+  assert.deepEqual(fs.readdirSync(path.join(home, ".cli-proxy-api", "versions")).sort(), ["6.9.2", "6.9.3"]);
+
+  // Still subject to the minimum version check.
+  const old = makeReleaseTarball(offlineDir, "6.0.0");
+  writeFile(path.join(offlineDir, "notes-checksums.txt"), `${"0".repeat(64)}  ${old.name}\n`);
+  const tooOld = await runCli(["install", "--cli-proxy-api-tarball", path.join(offlineDir, old.name)]);
+  assert.equal(tooOld.status, 1);
+  assert.match(tooOld.stderr, /no CLIProxyAPI_6\.0\.0_checksums\.txt or checksums\.txt next to .*; installing it unverified/);
+  assert.match(tooOld.stderr, /v6\.0\.0 is older than the minimum supported/);
+});
+
+test("a failed install or re-install restores the previous state", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  writeFile(path.join(home, ".local", "bin", "cli-proxy-api"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  // Answers like the real proxy until `broken` is set, then reports the wrong effort.
+  let broken = false;
+  const server = await startFakeProxy({
+    "/v1/responses": (req, res, body) => sendJson(res, { reasoning: { effort: broken ? "none" : body.model.match(/\(([a-z]+)\)$/)?.[1] } }),
+  });
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  writeFile(settingsPath, JSON.stringify({ env: { OTHER: "kept" } }), 0o600);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    XDG_STATE_HOME: path.join(home, ".local", "state"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+  // Backups are expected to accumulate; everything else must be put back as it was.
+  const snapshot = () => Object.fromEntries(Object.entries(snapshotTree(home)).filter(([p]) => !p.startsWith(path.join(".local", "state"))));
+
+  // A failed first install leaves nothing behind: no synced auth file, keys, units,
+  // tool config or the directories made for them.
+  const pristine = snapshot();
+  broken = true;
+  const failedFirst = await runCli(["install"]);
+  assert.equal(failedFirst.status, 1, `stdout:\n${failedFirst.stdout}\nstderr:\n${failedFirst.stderr}`);
+  assert.match(failedFirst.stderr, /rolled back: removed .*codex-from-codex-cli\.json/);
+  assert.deepEqual(snapshot(), pristine);
+
+  broken = false;
+  const first = await runCli(["install"]);
+  assert.equal(first.status, 0, `stdout:\n${first.stdout}\nstderr:\n${first.stderr}`);
+  const installed = snapshot();
+
+  broken = true;
+  const failed = await runCli(["install", "--sonnet", "effort=low"]);
+  assert.equal(failed.status, 1, `stdout:\n${failed.stdout}\nstderr:\n${failed.stderr}`);
+  assert.match(failed.stderr, /verification failed/);
+  assert.match(failed.stderr, new RegExp(`rolled back: restored ${path.join(home, ".cli-proxy-api", "config.yaml").replace(/[.]/g, "\\.")}`));
+  assert.match(failed.stderr, new RegExp(`rolled back: restored ${settingsPath.replace(/[.]/g, "\\.")}`));
+  assert.match(failed.stderr, /rolled back: restarted the previous (systemd|launchd) jobs/);
+  assert.match(failed.stderr, /previous state restored/);
+  assert.deepEqual(snapshot(), installed);
+});
+
+test("update --check reports new releases and update swaps the binary in place", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeFile(proxyBin, "#!/usr/bin/env bash\necho 'CLIProxyAPI Version: 6.9.1, Commit: test'\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  const configFile = path.join(home, ".cli-proxy-api", "config.yaml");
+  writeFile(configFile, `port: ${port}\nauth-dir: \"~/.cli-proxy-api/auths\"\n`, 0o644);
+
+  const releaseDir = path.join(home, "release");
+  fs.mkdirSync(releaseDir, { recursive: true });
+  const { name, sha } = makeReleaseTarball(releaseDir, "6.9.2");
+  const releases = await startFakeReleaseServer(releaseDir, { name, checksums: `${sha}  ${name}\n` });
+  t.after(() => releases.close());
+  const registry = await listen(http.createServer((req, res) => {
+    sendJson(res, req.url === "/codex-claudecode-proxy/latest" ? { version: "99.0.0" } : {});
+  }));
+  t.after(() => registry.close());
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+    npm_config_registry: `http://127.0.0.1:${registry.address().port}/`,
+    CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR: `http://127.0.0.1:${releases.address().port}/releases`,
+  };
+  const runCli = cliRunner(env);
+
+  assert.equal((await runCli(["update"])).status, 1, "expected update to require an install");
+  const installed = await runCli(["install"]);
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  const before = { config: fs.readFileSync(configFile, "utf8"), settings: fs.readFileSync(settingsPath, "utf8") };
+
+  const check = await runCli(["update", "--check"]);
+  assert.equal(check.status, 0, `stdout:\n${check.stdout}\nstderr:\n${check.stderr}`);
+  assert.match(check.stdout, /codex-claudecode-proxy: v\d+\.\d+\.\d+ -> v99\.0\.0 available/);
+  assert.match(check.stdout, /CLIProxyAPI: v6\.9\.1 -> v6\.9\.2 available/);
+  assert.match(spawnSync(proxyBin, ["--help"], { encoding: "utf8" }).stdout, /6\.9\.1/, "--check must not change anything");
+
+  // This fake proxy does not serve /v1/messages, so a replayed request regresses and
+  // the new release is rolled back.
+  const fixtures = path.join(home, "fixtures.jsonl");
+  writeFile(fixtures, `${JSON.stringify({
+    request: { method: "POST", path: "/v1/messages", body: { model: EXPECTED_OPUS_MODEL, messages: [{ role: "user", content: "hi" }] } },
+    response: { status: 200, body: { type: "message", role: "assistant", content: [{ type: "text", text: "hello" }], stop_reason: "end_turn" } },
+  })}\n`);
+  const gated = await runCli(["update", "--replay", fixtures]);
+  assert.equal(gated.status, 1, `stdout:\n${gated.stdout}\nstderr:\n${gated.stderr}`);
+  assert.match(gated.stderr, /replay found regressions in 1 of 1 request\(s\)/);
+  assert.match(gated.stdout, /Verified CLIProxyAPI_6\.9\.2_/);
+  assert.match(gated.stderr, /previous state restored/);
+  assert.match(spawnSync(proxyBin, ["--help"], { encoding: "utf8" }).stdout, /6\.9\.1/);
+
+  const updated = await runCli(["update"]);
+  assert.equal(updated.status, 0, `stdout:\n${updated.stdout}\nstderr:\n${updated.stderr}`);
+  // The release downloaded by the rolled-back attempt is reused from the cache.
+  assert.match(updated.stdout, /Switched to cached CLIProxyAPI v6\.9\.2/);
+  assert.match(updated.stdout, /Restarting proxy/);
+  assert.match(updated.stdout, /update completed \(CLIProxyAPI v6\.9\.2\)/);
+  assert.match(spawnSync(proxyBin, ["--help"], { encoding: "utf8" }).stdout, /6\.9\.2/);
+  assert.deepEqual({ config: fs.readFileSync(configFile, "utf8"), settings: fs.readFileSync(settingsPath, "utf8") }, before);
+
+  const again = await runCli(["update", "--check"]);
+  assert.match(again.stdout, /CLIProxyAPI: v6\.9\.2 is up to date/);
+
+  // With nothing to apply the running proxy is left alone.
+  const noop = await runCli(["update"]);
+  assert.equal(noop.status, 0, `stdout:\n${noop.stdout}\nstderr:\n${noop.stderr}`);
+  assert.doesNotMatch(noop.stdout, /Restarting proxy/);
+  assert.match(noop.stdout, /update completed \(CLIProxyAPI v6\.9\.2, proxy not restarted\)/);
+
+  // A release check that fails is an error, not "up to date".
+  const unreachable = { ...env, CODEX_CLAUDECODE_PROXY_CLI_PROXY_API_MIRROR: "http://127.0.0.1:1/releases" };
+  for (const args of [["update", "--check"], ["update"]]) {
+    const failed = await runCli(args, unreachable);
+    assert.equal(failed.status, 1, `stdout:\n${failed.stdout}\nstderr:\n${failed.stderr}`);
+    assert.match(failed.stderr, /could not check CLIProxyAPI releases/);
+    assert.doesNotMatch(failed.stdout, /up to date|update completed/);
+  }
+});
+
+test("install protects the proxy with a generated key and rotate-key replaces it", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  writeFile(path.join(home, ".local", "bin", "cli-proxy-api"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const proxyDir = path.join(home, ".cli-proxy-api");
+  const keyFile = path.join(proxyDir, "api-key");
+  // Like CLIProxyAPI with api-keys set: rejects requests without the configured key.
+  const server = await startFakeProxy({}, {
+    authorize: (req) => {
+      const key = fs.existsSync(keyFile) ? fs.readFileSync(keyFile, "utf8").trim() : null;
+      return !key || req.headers.authorization === `Bearer ${key}`;
+    },
+  });
+  t.after(() => server.close());
+  const configFile = path.join(proxyDir, "config.yaml");
+  writeFile(configFile, `port: ${server.address().port}\napi-keys:\n  - "my-own-key"\n`, 0o644);
+
+  const env = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  const runCli = cliRunner(env);
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  const readSettings = () => JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  const readKey = () => fs.readFileSync(keyFile, "utf8").trim();
+
+  const installed = await runCli(["install"]);
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+  const key = readKey();
+  assert.match(key, /^ccproxy-[0-9a-f]{48}$/);
+  assert.equal(fs.statSync(keyFile).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(configFile).mode & 0o777, 0o600, "config.yaml holds the key too");
+  assert.equal(readSettings().env.ANTHROPIC_AUTH_TOKEN, key);
+  const config = fs.readFileSync(configFile, "utf8");
+  assert.match(config, /^ {2}- "my-own-key"$/m, "keys added by the user must be kept");
+  assert.match(config, new RegExp(`^ {2}- "${key}" # managed by codex-claudecode-proxy$`, "m"));
+
+  assert.equal((await runCli(["install"])).status, 0);
+  assert.equal(readKey(), key, "re-install must keep the key");
+
+  const rotated = await runCli(["rotate-key"]);
+  assert.equal(rotated.status, 0, `stdout:\n${rotated.stdout}\nstderr:\n${rotated.stderr}`);
+  const newKey = readKey();
+  assert.notEqual(newKey, key);
+  assert.equal(readSettings().env.ANTHROPIC_AUTH_TOKEN, newKey);
+  const rotatedConfig = fs.readFileSync(configFile, "utf8");
+  assert.equal(rotatedConfig.includes(key), false);
+  assert.equal(rotatedConfig.split(newKey).length, 2, "exactly one managed key");
+  assert.match(rotated.stdout, /proxy healthy with the new key/);
+  assert.equal(fs.statSync(configFile).mode & 0o777, 0o600);
+
+  // With the helper, settings hold no key at all and rotation needs no settings edit.
+  const helper = await runCli(["install", "--api-key-helper"]);
+  assert.equal(helper.status, 0, `stdout:\n${helper.stdout}\nstderr:\n${helper.stderr}`);
+  const helperPath = path.join(proxyDir, "api-key-helper.sh");
+  assert.equal(readSettings().apiKeyHelper, helperPath);
+  assert.equal("ANTHROPIC_AUTH_TOKEN" in readSettings().env, false);
+  assert.equal(spawnSync(helperPath, { encoding: "utf8" }).stdout.trim(), newKey);
+  assert.equal((await runCli(["rotate-key"])).status, 0);
+  assert.equal(spawnSync(helperPath, { encoding: "utf8" }).stdout.trim(), readKey());
+  assert.equal((await runCli(["install"])).status, 0);
+  assert.equal(readSettings().apiKeyHelper, helperPath, "re-install keeps using the helper");
+
+  assert.equal((await runCli(["uninstall"])).status, 0);
+  assert.deepEqual(readSettings(), {});
+});
+
+test("install --usage-stats enables the management API with a generated secret", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+  writeFile(path.join(home, ".codex", "auth.json"), codexAuthJson(), 0o600);
+  writeFile(path.join(home, ".local", "bin", "cli-proxy-api"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  const proxyDir = path.join(home, ".cli-proxy-api");
+  const configFile = path.join(proxyDir, "config.yaml");
+  // A user's own remote-management options stay; only the secret is replaced.
+  writeFile(configFile, `port: ${port}\nremote-management:\n  allow-remote: false\n  disable-control-panel: true\n`, 0o644);
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config"), PATH: `${stubBin}:${process.env.PATH || ""}` };
+  const runCli = cliRunner(env);
+
+  const plain = await runCli(["install"]);
+  assert.equal(plain.status, 0, `stdout:\n${plain.stdout}\nstderr:\n${plain.stderr}`);
+  assert.doesNotMatch(fs.readFileSync(configFile, "utf8"), /usage-statistics-enabled/);
+
+  const enabled = await runCli(["install", "--usage-stats"]);
+  assert.equal(enabled.status, 0, `stdout:\n${enabled.stdout}\nstderr:\n${enabled.stderr}`);
+  const managementKeyFile = path.join(proxyDir, "management-key");
+  const secret = fs.readFileSync(managementKeyFile, "utf8").trim();
+  assert.match(secret, /^[0-9a-f]{48}$/);
+  assert.equal(fs.statSync(managementKeyFile).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(configFile).mode & 0o777, 0o600, "config.yaml holds the management secret too");
+  const config = fs.readFileSync(configFile, "utf8");
+  assert.match(config, /^usage-statistics-enabled: true$/m);
+  assert.match(config, new RegExp(`^remote-management:\\n  allow-remote: false\\n  disable-control-panel: true\\n  secret-key: "${secret}"$`, "m"));
+
+  // Re-installs keep statistics on without the flag.
+  assert.equal((await runCli(["install"])).status, 0);
+  assert.equal(fs.readFileSync(managementKeyFile, "utf8").trim(), secret);
+  assert.match(fs.readFileSync(configFile, "utf8"), /^usage-statistics-enabled: true$/m);
+});
+
+test("install honors custom directories and later commands find them without flags", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const stubBin = stubServiceManagers(home);
+
+  const proxyDir = path.join(home, "srv", "proxy");
+  const binDir = path.join(home, "tools");
+  const codexHome = path.join(home, "codex-home");
+  const claudeDir = path.join(home, "claude-cfg");
+  writeFile(path.join(codexHome, "auth.json"), codexAuthJson(), 0o600);
+  writeFile(path.join(binDir, "cli-proxy-api"), "#!/usr/bin/env bash\nexit 0\n", 0o755);
+
+  const server = await startFakeProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  writeFile(path.join(proxyDir, "config.yaml"), `port: ${port}\n`, 0o644);
+
+  const baseEnv = {
+    ...process.env,
+    HOME: home,
+    USER: "testuser",
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    PATH: `${stubBin}:${process.env.PATH || ""}`,
+  };
+  delete baseEnv.CODEX_HOME;
+  delete baseEnv.CLAUDE_CONFIG_DIR;
+  const runCli = cliRunner(baseEnv);
+
+  const installed = await runCli(
+    ["install", "--proxy-dir", proxyDir, "--bin-dir", binDir, `--claude-config-dir=${claudeDir}`],
+    { ...baseEnv, CODEX_HOME: codexHome },
+  );
+  assert.equal(installed.status, 0, `stdout:\n${installed.stdout}\nstderr:\n${installed.stderr}`);
+
+  assert.match(fs.readFileSync(path.join(proxyDir, "config.yaml"), "utf8"), /^auth-dir: "~\/srv\/proxy\/auths"$/m);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(proxyDir, "auths", "codex-from-codex-cli.json"), "utf8")).access_token, "test-access-token");
+  const settings = JSON.parse(fs.readFileSync(path.join(claudeDir, "settings.json"), "utf8"));
+  assert.equal(settings.env.ANTHROPIC_BASE_URL, `http://127.0.0.1:${port}`);
+  assert.equal(fs.existsSync(path.join(home, ".claude")), false);
+  assert.equal(fs.existsSync(path.join(home, ".cli-proxy-api")), false);
+  const toolConfig = JSON.parse(fs.readFileSync(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), "utf8"));
+  assert.deepEqual(toolConfig.paths, { proxyDir, binDir, codexHome, claudeConfigDir: claudeDir });
+
+  if (process.platform === "linux") {
+    const unitDir = path.join(home, ".config", "systemd", "user");
+    assert.match(fs.readFileSync(path.join(unitDir, "cli-proxy-api.service"), "utf8"), new RegExp(`^ExecStart="${binDir}/cli-proxy-api" --config "${proxyDir}/config\\.yaml"$`, "m"));
+    const syncUnit = fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.service"), "utf8");
+    assert.match(syncUnit, new RegExp(`"sync-token" "--all" "--proxy-dir" "${proxyDir}" "--codex-home" "${codexHome}"$`, "m"));
+    assert.match(fs.readFileSync(path.join(unitDir, "cli-proxy-api-token-sync.path"), "utf8"), new RegExp(`^PathChanged=${codexHome}/auth\\.json$`, "m"));
+  }
+
+  // No flags and no CODEX_HOME: the saved paths are used.
+  const status = await runCli(["status", "--json"]);
+  assert.equal(status.status, 0, `stdout:\n${status.stdout}\nstderr:\n${status.stderr}`);
+  const json = JSON.parse(status.stdout);
+  assert.deepEqual(json.paths, { proxyDir, binDir, codexHome, claudeConfigDir: claudeDir });
+  assert.equal(json.cliProxyApi.path, path.join(binDir, "cli-proxy-api"));
+  assert.equal(json.claudeSettings.pointsAtProxy, true);
+
+  const uninstalled = await runCli(["uninstall"]);
+  assert.equal(uninstalled.status, 0, `stdout:\n${uninstalled.stdout}\nstderr:\n${uninstalled.stderr}`);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(claudeDir, "settings.json"), "utf8")), {});
+});
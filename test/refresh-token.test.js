@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import http from "node:http";
+import { mkTmpDir, writeFile, jwt, codexAuthJson, listen, sendJson, cliRunner } from "../test-helpers/index.js";
+
+function authJson(accessToken, refreshToken) {
+  return codexAuthJson(
+    { access_token: accessToken, id_token: "old-id", refresh_token: refreshToken, account_id: "acct" },
+    { OPENAI_API_KEY: null, last_refresh: "2026-01-01T00:00:00Z" },
+  );
+}
+
+// Stand-in for the OAuth token endpoint: rotates the refresh token once, like OpenAI's.
+function startFakeTokenServer(freshExp) {
+  const requests = [];
+  const spent = new Set();
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => { body += d; });
+    req.on("end", () => {
+      const json = JSON.parse(body);
+      requests.push(json);
+      if (json.grant_type !== "refresh_token" || spent.has(json.refresh_token) || json.refresh_token === "revoked") {
+        res.statusCode = 400;
+        sendJson(res, { error: "invalid_grant", error_description: "refresh token already used" });
+        return;
+      }
+      spent.add(json.refresh_token);
+      sendJson(res, { access_token: jwt(freshExp), id_token: "new-id", refresh_token: `${json.refresh_token}-next` });
+    });
+  });
+  return listen(server).then(() => ({ server, requests }));
+}
+
+test("refresh-token renews expiring tokens into auth.json and the proxy auth file", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const now = Math.floor(Date.now() / 1000);
+  const { server, requests } = await startFakeTokenServer(now + 10 * 86400);
+  t.after(() => server.close());
+  const tokenUrl = `http://127.0.0.1:${server.address().port}/oauth/token`;
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  delete env.CODEX_CLAUDECODE_PROXY_TOKEN_URL;
+  const runCli = cliRunner(env);
+  const codexAuth = path.join(home, ".codex", "auth.json");
+  const proxyAuth = path.join(home, ".cli-proxy-api", "auths", "codex-from-codex-cli.json");
+
+  // Valid for a day: nothing to do.
+  writeFile(codexAuth, authJson(jwt(now + 86400), "r1"), 0o600);
+  const notDue = await runCli(["refresh-token", "--token-url", tokenUrl]);
+  assert.equal(notDue.status, 0, notDue.stderr);
+  assert.match(notDue.stdout, /default: not due \(valid until /);
+  assert.equal(requests.length, 0);
+
+  // Expiring in ten minutes: refreshed, and the rotated refresh token is kept.
+  writeFile(codexAuth, authJson(jwt(now + 600), "r1"), 0o600);
+  const refreshed = await runCli(["refresh-token", "--token-url", tokenUrl]);
+  assert.equal(refreshed.status, 0, `stdout:\n${refreshed.stdout}\nstderr:\n${refreshed.stderr}`);
+  assert.match(refreshed.stdout, /default: refreshed \(valid until /);
+  assert.deepEqual(requests[0], { client_id: "app_EMoamEEZ73f0CkXaXp7hrann", grant_type: "refresh_token", refresh_token: "r1", scope: "openid profile email" });
+  const auth = JSON.parse(fs.readFileSync(codexAuth, "utf8"));
+  assert.equal(auth.tokens.refresh_token, "r1-next");
+  assert.equal(auth.tokens.id_token, "new-id");
+  assert.equal(auth.tokens.account_id, "acct");
+  assert.equal("OPENAI_API_KEY" in auth, true, "other auth.json fields are kept");
+  assert.notEqual(auth.last_refresh, "2026-01-01T00:00:00Z");
+  assert.equal(fs.statSync(codexAuth).mode & 0o777, 0o600);
+  const synced = JSON.parse(fs.readFileSync(proxyAuth, "utf8"));
+  assert.equal(synced.access_token, auth.tokens.access_token);
+  assert.equal(synced.refresh_token, "r1-next");
+
+  // The scheduled job (--all, no flags) reads the endpoint from the tool config file and
+  // covers extra accounts too.
+  writeFile(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), JSON.stringify({ tokenUrl }), 0o644);
+  const seat2 = path.join(home, "seats", "seat2.json");
+  writeFile(seat2, authJson(jwt(now - 60), "s1"), 0o600);
+  writeFile(path.join(home, ".cli-proxy-api", "accounts.json"), JSON.stringify({ accounts: { seat2: { source: seat2, disabled: false } } }), 0o600);
+  const all = await runCli(["refresh-token", "--all"]);
+  assert.equal(all.status, 0, `stdout:\n${all.stdout}\nstderr:\n${all.stderr}`);
+  assert.match(all.stdout, /default: not due/);
+  assert.match(all.stdout, /seat2: refreshed/);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(home, ".cli-proxy-api", "auths", "codex-account-seat2.json"), "utf8")).refresh_token, "s1-next");
+
+  // A refused refresh leaves the files alone and exits with its own code.
+  writeFile(codexAuth, authJson(jwt(now + 600), "revoked"), 0o600);
+  const before = fs.readFileSync(codexAuth, "utf8");
+  const refused = await runCli(["refresh-token", "--force"]);
+  assert.equal(refused.status, 6);
+  assert.match(refused.stderr, /token refresh failed \(.*\): HTTP 400: refresh token already used; run 'codex login'/);
+  assert.equal(fs.readFileSync(codexAuth, "utf8"), before);
+
+  assert.equal((await runCli(["refresh-token", "--token-url", "ftp://x"])).status, 1);
+  writeFile(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), JSON.stringify({ tokenUrl: "auth.example" }), 0o644);
+  const badConfig = await runCli(["refresh-token"]);
+  assert.equal(badConfig.status, 1);
+  assert.match(badConfig.stderr, /tokenUrl in .*config\.json expects an http\(s\) URL/);
+});
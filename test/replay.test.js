@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { mkTmpDir, writeFile, sse, startFakeProxy, sendJson, cliRunner } from "../test-helpers/index.js";
+
+const WEATHER_TOOL = {
+  name: "get_weather",
+  input_schema: { type: "object", properties: { city: { type: "string" } }, required: ["city"] },
+};
+
+function toolUseEvents(input, { stop = true } = {}) {
+  const events = [
+    ["message_start", { message: { id: "msg_1", type: "message", role: "assistant", content: [], stop_reason: null } }],
+    ["content_block_start", { index: 0, content_block: { type: "text", text: "" } }],
+    ["content_block_delta", { index: 0, delta: { type: "text_delta", text: "Checking." } }],
+    ["content_block_stop", { index: 0 }],
+    ["content_block_start", { index: 1, content_block: { type: "tool_use", id: "toolu_1", name: "get_weather", input: {} } }],
+    ["content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: JSON.stringify(input) } }],
+    ["content_block_stop", { index: 1 }],
+    ["message_delta", { delta: { stop_reason: "tool_use" } }],
+    ["message_stop", {}],
+  ];
+  return stop ? events : events.slice(0, -1);
+}
+
+// Answers like CLIProxyAPI; once `regressed` is set, tool inputs break the schema and
+// streams lose their message_stop.
+function startReplayProxy(state) {
+  return startFakeProxy({
+    "/v1/messages": (req, res, json) => {
+      if (json.stream) {
+        res.setHeader("content-type", "text/event-stream");
+        res.end(sse(toolUseEvents(state.regressed ? { city: 5 } : { city: "Paris" }, { stop: !state.regressed })));
+        return;
+      }
+      sendJson(res, { type: "message", role: "assistant", content: [{ type: "text", text: "different words" }], stop_reason: "end_turn" });
+    },
+  });
+}
+
+test("replay compares response structure with recorded fixtures", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const state = { regressed: false };
+  const server = await startReplayProxy(state);
+  t.after(() => server.close());
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${server.address().port}\n`, 0o644);
+
+  // Lines as `trace` records them: a plain message, a streamed tool_use and a non-messages call.
+  const fixtures = path.join(home, "fixtures.jsonl");
+  const streamed = toolUseEvents({ city: "Berlin" }).map(([event, data]) => ({ event, data: { type: event, ...data } }));
+  writeFile(fixtures, `${[
+    {
+      id: 1,
+      request: { method: "POST", path: "/v1/messages", body: { model: "gpt-5.3-codex(high)", messages: [{ role: "user", content: "hi" }] } },
+      response: { status: 200, body: { type: "message", role: "assistant", content: [{ type: "text", text: "hello" }], stop_reason: "end_turn" } },
+    },
+    {
+      id: 2,
+      request: { method: "POST", path: "/v1/messages", body: { model: "gpt-5.3-codex(high)", stream: true, tools: [WEATHER_TOOL], messages: [{ role: "user", content: "weather?" }] } },
+      response: {
+        status: 200,
+        events: streamed,
+        message: { type: "message", role: "assistant", content: [{ type: "text", text: "Checking." }, { type: "tool_use", id: "toolu_1", name: "get_weather", input: { city: "Berlin" } }], stop_reason: "tool_use" },
+      },
+    },
+    { id: 3, request: { method: "GET", path: "/v1/models", body: null }, response: { status: 200, body: { data: [] } } },
+  ].map((r) => JSON.stringify(r)).join("\n")}\n`);
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  const runCli = cliRunner(env);
+
+  const passed = await runCli(["replay", fixtures]);
+  assert.equal(passed.status, 0, `stdout:\n${passed.stdout}\nstderr:\n${passed.stderr}`);
+  assert.match(passed.stdout, /#1 gpt-5\.3-codex\(high\): ok/);
+  assert.match(passed.stdout, /#2 gpt-5\.3-codex\(high\) stream: ok/);
+  assert.match(passed.stdout, /replay passed \(2 matched, 0 regressed, 1 skipped\)/);
+
+  state.regressed = true;
+  const failed = await runCli(["replay", fixtures]);
+  assert.equal(failed.status, 1);
+  assert.match(failed.stdout, /#1 gpt-5\.3-codex\(high\): ok/);
+  assert.match(failed.stdout, /#2 gpt-5\.3-codex\(high\) stream: REGRESSED/);
+  assert.match(failed.stdout, /^  - tool input: valid\n  \+ tool input: get_weather: input\.city is number, expected string$/m);
+  assert.match(failed.stdout, /^  \+ stream: expected message_stop last, got message_delta$/m);
+  assert.match(failed.stderr, /replay found regressions \(1 matched, 1 regressed, 1 skipped\)/);
+
+  const json = await runCli(["replay", fixtures, "--json"]);
+  assert.equal(json.status, 1);
+  const report = JSON.parse(json.stdout);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.results[1].diffs.map((d) => d.field), ["tool input", "stream"]);
+
+  assert.equal((await runCli(["replay"])).status, 1);
+  assert.equal((await runCli(["replay", path.join(home, "missing.jsonl")])).status, 1);
+});
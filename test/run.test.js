@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mkTmpDir, writeFile, codexAuthJson, startCli, waitFor, getFreePort } from "../test-helpers/index.js";
+
+// Stand-in for cli-proxy-api: serves /v1/models on the configured port and
+// crashes on its first launch so the supervisor's restart path is exercised.
+function writeStubProxyBin(p, crashMarker) {
+  writeFile(
+    p,
+    `#!${process.execPath}
+const fs = require("fs");
+const http = require("http");
+const cfg = fs.readFileSync(process.argv[process.argv.indexOf("--config") + 1], "utf8");
+const port = Number(cfg.match(/^port:\\s*(\\d+)/m)[1]);
+if (!fs.existsSync(${JSON.stringify(crashMarker)})) {
+  fs.writeFileSync(${JSON.stringify(crashMarker)}, "1");
+  console.log("stub crashing");
+  process.exit(3);
+}
+http.createServer((req, res) => {
+  res.setHeader("content-type", "application/json");
+  res.end(JSON.stringify({ data: [] }));
+}).listen(port, "127.0.0.1", () => console.log("stub listening"));
+process.on("SIGTERM", () => {
+  console.log("stub got SIGTERM");
+  process.exit(0);
+});
+`,
+    0o755,
+  );
+}
+
+test("run supervises the proxy, re-syncs the token and stops on SIGTERM", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const codexAuth = path.join(home, ".codex", "auth.json");
+  writeFile(codexAuth, codexAuthJson({ access_token: "token-1" }), 0o600);
+
+  const proxyBin = path.join(home, ".local", "bin", "cli-proxy-api");
+  writeStubProxyBin(proxyBin, path.join(home, "crashed-once"));
+
+  const port = await getFreePort();
+  writeFile(
+    path.join(home, ".cli-proxy-api", "config.yaml"),
+    `port: ${port}\nauth-dir: "~/.cli-proxy-api/auths"\n`,
+    0o644,
+  );
+
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  const settingsBefore = `${JSON.stringify({ env: { KEEP_ME: "1" }, theme: "dark" }, null, 2)}\n`;
+  writeFile(settingsPath, settingsBefore, 0o600);
+
+  // Extra accounts whose sources can't be watched must not stop the supervisor.
+  const seat2 = path.join(home, "seats", "seat2.json");
+  writeFile(seat2, codexAuthJson({ access_token: "seat2-token" }), 0o600);
+  writeFile(path.join(home, ".cli-proxy-api", "accounts.json"), JSON.stringify({
+    accounts: {
+      gone: { source: path.join(home, "missing", "auth.json"), disabled: false },
+      off: { source: seat2, disabled: true },
+    },
+  }), 0o600);
+
+  const run = startCli(["run", "--usage-stats", "--haiku", "gpt-5.1-codex-mini,effort=low"], { ...process.env, HOME: home, USER: "testuser" });
+  t.after(() => run.child.kill("SIGKILL"));
+
+  assert.equal(await waitFor(() => run.stdout.includes("proxy healthy")), true, run.output());
+  assert.match(run.stdout, /\[proxy\] stub crashing/);
+  assert.match(run.stdout, /\[proxy\] stub listening/);
+  assert.match(run.stderr, /proxy exited \(code=3/);
+  assert.match(run.stderr, /account gone: .*missing does not exist; not watching/);
+  assert.match(run.stderr, /account off: disabled; not watching/);
+
+  const synced = path.join(home, ".cli-proxy-api", "auths", "codex-from-codex-cli.json");
+  assert.equal(JSON.parse(fs.readFileSync(synced, "utf8")).access_token, "token-1");
+
+  // Simulate Codex CLI refreshing its token via atomic replace.
+  writeFile(`${codexAuth}.tmp`, codexAuthJson({ access_token: "token-2" }), 0o600);
+  fs.renameSync(`${codexAuth}.tmp`, codexAuth);
+  const resynced = await waitFor(() => {
+    try {
+      return JSON.parse(fs.readFileSync(synced, "utf8")).access_token === "token-2";
+    } catch {
+      return false;
+    }
+  });
+  assert.equal(resynced, true, run.output());
+
+  // The existing config is kept, with only the sections for the given options merged in.
+  const config = fs.readFileSync(path.join(home, ".cli-proxy-api", "config.yaml"), "utf8");
+  assert.match(config, /^auth-dir: "~\/\.cli-proxy-api\/auths"$/m);
+  assert.match(config, /^usage-statistics-enabled: true$/m);
+  const secret = fs.readFileSync(path.join(home, ".cli-proxy-api", "management-key"), "utf8").trim();
+  assert.match(config, new RegExp(`^  secret-key: "${secret}"$`, "m"));
+  assert.doesNotMatch(config, /^request-retry:/m);
+  assert.match(config, /^ {8}- name: "gpt-5\.1-codex-mini\(low\)"$/m, "tier flags must reach the running config");
+  const toolConfig = JSON.parse(fs.readFileSync(path.join(home, ".config", "codex-claudecode-proxy", "config.json"), "utf8"));
+  assert.deepEqual(toolConfig.tiers.haiku, { model: "gpt-5.1-codex-mini", effort: "low", params: {} });
+
+  const settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+  assert.equal(settings?.env?.ANTHROPIC_BASE_URL, `http://127.0.0.1:${port}`);
+  assert.equal(settings.env.ANTHROPIC_DEFAULT_HAIKU_MODEL, "gpt-5.1-codex-mini(low)");
+
+  run.child.kill("SIGTERM");
+  assert.equal(await run.closed, 0, run.output());
+  assert.match(run.stdout, /\[proxy\] stub got SIGTERM/);
+  // Sessions must not be left pointing at the stopped proxy.
+  assert.deepEqual(JSON.parse(fs.readFileSync(settingsPath, "utf8")), JSON.parse(settingsBefore));
+});
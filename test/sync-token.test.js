@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mkTmpDir, writeFile, codexAuthJson, cliRunnerSync } from "../test-helpers/index.js";
+
+function syncToken(home, args) {
+  return cliRunnerSync({ ...process.env, HOME: home, USER: "testuser" })(["sync-token", ...args]);
+}
+
+test("sync-token writes a valid auth file even when tokens contain quotes and backslashes", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const tricky = 'abc"def\\ghi\n$(whoami)';
+  writeFile(
+    path.join(home, ".codex", "auth.json"),
+    codexAuthJson({ access_token: tricky, refresh_token: "refresh", account_id: "acct" }, { last_refresh: "2026-01-01T00:00:00Z" }),
+    0o600,
+  );
+
+  const r = syncToken(home, []);
+  assert.equal(r.status, 0, `stdout:\n${r.stdout}\nstderr:\n${r.stderr}`);
+
+  const dst = path.join(home, ".cli-proxy-api", "auths", "codex-from-codex-cli.json");
+  const out = JSON.parse(fs.readFileSync(dst, "utf8"));
+  assert.equal(out.access_token, tricky);
+  assert.equal(out.refresh_token, "refresh");
+  assert.equal(out.account_id, "acct");
+  assert.equal(out.last_refresh, "2026-01-01T00:00:00Z");
+  assert.equal(out.type, "codex");
+  assert.equal(fs.statSync(dst).mode & 0o777, 0o600);
+});
+
+test("sync-token honors explicit src/dst and exits with distinct codes", () => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const src = path.join(home, "custom", "auth.json");
+  const dst = path.join(home, "out", "codex.json");
+
+  assert.equal(syncToken(home, [src, dst]).status, 2, "expected missing source to exit 2");
+
+  writeFile(src, "{not json", 0o600);
+  assert.equal(syncToken(home, [src, dst]).status, 3, "expected invalid JSON to exit 3");
+
+  writeFile(src, JSON.stringify({ tokens: { access_token: "a" } }), 0o600);
+  const missing = syncToken(home, [src, dst]);
+  assert.equal(missing.status, 4, "expected missing refresh_token to exit 4");
+  assert.match(missing.stderr, /tokens\.refresh_token missing/);
+  assert.equal(fs.existsSync(dst), false);
+
+  writeFile(src, JSON.stringify({ tokens: { access_token: "a", refresh_token: "r" } }), 0o600);
+  assert.equal(syncToken(home, [src, dst]).status, 0);
+  assert.equal(JSON.parse(fs.readFileSync(dst, "utf8")).access_token, "a");
+});
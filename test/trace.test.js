@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mkTmpDir, writeFile, sse, startFakeProxy, sendJson, startCli, waitFor, cliRunner } from "../test-helpers/index.js";
+
+// Stands in for CLIProxyAPI: a plain reply, and a streamed tool_use split across deltas.
+function startTracedProxy() {
+  return startFakeProxy({
+    "/v1/messages": (req, res, json) => {
+      if (json.model === "reset") {
+        // Dies mid-stream, after the first event.
+        res.setHeader("content-type", "text/event-stream");
+        res.write(sse([["message_start", { message: { id: "msg_3", type: "message", role: "assistant", model: json.model, content: [], stop_reason: null } }]]));
+        setTimeout(() => res.socket.destroy(), 50);
+        return;
+      }
+      if (!json.stream) {
+        sendJson(res, { id: "msg_1", type: "message", role: "assistant", content: [{ type: "text", text: "pong" }], stop_reason: "end_turn" });
+        return;
+      }
+      res.setHeader("content-type", "text/event-stream");
+      res.end(sse([
+        ["message_start", { message: { id: "msg_2", type: "message", role: "assistant", model: json.model, content: [], stop_reason: null } }],
+        ["content_block_start", { index: 0, content_block: { type: "tool_use", id: "toolu_1", name: "get_weather", input: {} } }],
+        ["content_block_delta", { index: 0, delta: { type: "input_json_delta", partial_json: "{\"city\":" } }],
+        ["content_block_delta", { index: 0, delta: { type: "input_json_delta", partial_json: "\"Paris\"}" } }],
+        ["content_block_stop", { index: 0 }],
+        ["message_delta", { delta: { stop_reason: "tool_use" }, usage: { output_tokens: 9 } }],
+        ["message_stop", {}],
+      ]));
+    },
+  });
+}
+
+async function post(baseUrl, body) {
+  const res = await fetch(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-api-key": "ccproxy-secretkey", "anthropic-version": "2023-06-01" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+test("trace records traffic through a tap proxy and restores the settings", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const server = await startTracedProxy();
+  t.after(() => server.close());
+  const port = server.address().port;
+  const proxyDir = path.join(home, ".cli-proxy-api");
+  writeFile(path.join(proxyDir, "config.yaml"), `port: ${port}\n`, 0o644);
+  writeFile(path.join(proxyDir, "api-key"), "ccproxy-secretkey\n", 0o600);
+  const settingsPath = path.join(home, ".claude", "settings.json");
+  writeFile(settingsPath, `${JSON.stringify({ env: { ANTHROPIC_BASE_URL: `http://127.0.0.1:${port}` } }, null, 2)}\n`, 0o600);
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  const runCli = cliRunner(env);
+
+  const trace = startCli(["trace"], env);
+  t.after(() => trace.child.kill("SIGKILL"));
+  assert.equal(await waitFor(() => trace.stdout.includes("Recording to")), true, trace.output());
+
+  const tapUrl = JSON.parse(fs.readFileSync(settingsPath, "utf8")).env.ANTHROPIC_BASE_URL;
+  assert.notEqual(tapUrl, `http://127.0.0.1:${port}`, "settings should point at the tap while tracing");
+  // Fields named like secrets inside tool schemas and inputs are data, not credentials.
+  const tools = [{ name: "login", input_schema: { type: "object", properties: { password: { type: "string" }, api_key: { type: "string" } } } }];
+  const messages = [
+    { role: "user", content: "ping" },
+    { role: "assistant", content: [{ type: "tool_use", id: "toolu_0", name: "login", input: { password: "hunter2", secret: "s" } }] },
+    { role: "user", content: [{ type: "tool_result", tool_use_id: "toolu_0", content: "ok" }] },
+  ];
+  const plain = await post(tapUrl, { model: "gpt-5.3-codex(high)", tools, messages, api_key: "sk-body-credential" });
+  assert.equal(JSON.parse(plain.text).content[0].text, "pong");
+  const streamed = await post(tapUrl, { model: "gpt-5.3-codex(high)", stream: true, messages: [{ role: "user", content: "weather?" }] });
+  assert.match(streamed.text, /event: message_stop/);
+  await assert.rejects(post(tapUrl, { model: "reset", stream: true, messages: [{ role: "user", content: "hi" }] }));
+
+  trace.child.kill("SIGINT");
+  assert.equal(await trace.closed, 0, trace.output());
+  assert.equal(JSON.parse(fs.readFileSync(settingsPath, "utf8")).env.ANTHROPIC_BASE_URL, `http://127.0.0.1:${port}`);
+
+  const tracesDir = path.join(proxyDir, "traces");
+  const [name] = fs.readdirSync(tracesDir);
+  const file = path.join(tracesDir, name);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  const text = fs.readFileSync(file, "utf8");
+  assert.doesNotMatch(text, /ccproxy-secretkey/);
+  const records = text.trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(records.length, 3);
+  assert.equal(records[0].request.headers["x-api-key"], "[redacted]");
+  assert.equal(records[0].request.body.api_key, "[redacted]");
+  assert.deepEqual(records[0].request.body.tools, tools);
+  assert.deepEqual(records[0].request.body.messages, messages);
+  assert.equal(records[0].response.body.content[0].text, "pong");
+  assert.equal(records[1].response.events.length, 7);
+  assert.deepEqual(records[1].response.message.content, [{ type: "tool_use", id: "toolu_1", name: "get_weather", input: { city: "Paris" } }]);
+  assert.equal(records[1].response.message.stop_reason, "tool_use");
+  // A reset mid-stream is recorded with what arrived, and the trace keeps running.
+  assert.equal(records[2].response.events.length, 1);
+  assert.match(records[2].error, /^proxy response failed/);
+
+  const shown = await runCli(["trace", "show"]);
+  assert.equal(shown.status, 0, shown.stderr);
+  assert.match(shown.stdout, /#1 .* POST \/v1\/messages -> 200/);
+  assert.match(shown.stdout, /user: text: weather\?/);
+  assert.match(shown.stdout, /#2 .* -> 200 \(\d+ms\) stream/);
+  assert.match(shown.stdout, /assistant: tool_use get_weather \{"city":"Paris"\}/);
+  assert.equal((await runCli(["trace", "show", name])).status, 0);
+  assert.equal((await runCli(["trace", "show", "missing.jsonl"])).status, 1);
+});
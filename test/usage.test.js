@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { mkTmpDir, writeFile, startFakeProxy, sendJson, cliRunner } from "../test-helpers/index.js";
+
+function detail(timestamp, input, output, reasoning, failed = false) {
+  return { timestamp, failed, tokens: { input_tokens: input, output_tokens: output, reasoning_tokens: reasoning, total_tokens: input + output } };
+}
+
+// Serves /v0/management/usage in CLIProxyAPI's shape to callers with the right secret.
+function startFakeManagementServer(secret) {
+  const usage = {
+    total_requests: 4,
+    apis: {
+      "ccproxy-key": {
+        models: {
+          "gpt-5.3-codex(xhigh)": {
+            details: [
+              detail("2026-03-01T10:00:00", 100, 20, 5),
+              detail("2026-03-01T11:00:00", 50, 10, 0),
+              detail("2026-03-02T09:00:00", 10, 1, 1, true),
+            ],
+          },
+          "gpt-5.3-codex(medium)": { details: [detail("2026-03-02T12:00:00", 7, 3, 2)] },
+        },
+      },
+    },
+  };
+  return startFakeProxy({
+    "/v0/management/usage": (req, res) => {
+      if (req.headers.authorization !== `Bearer ${secret}`) {
+        res.statusCode = 401;
+        res.end();
+        return;
+      }
+      sendJson(res, { usage, failed_requests: 1 });
+    },
+  });
+}
+
+test("usage aggregates management statistics by day and tier, or counts log requests", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const server = await startFakeManagementServer("mgmt-secret");
+  t.after(() => server.close());
+  const proxyDir = path.join(home, ".cli-proxy-api");
+  writeFile(path.join(proxyDir, "config.yaml"), `port: ${server.address().port}\n`, 0o644);
+  writeFile(path.join(proxyDir, "cli-proxy-api.log"), [
+    "[2026-03-01 10:00:00] [info ] [gin_logger.go:58] 200 |  1.2s |  127.0.0.1 | POST    \"/v1/messages?beta=true\"",
+    "[2026-03-01 10:05:00] [info ] [gin_logger.go:58] 200 |  2ms |  127.0.0.1 | GET     \"/v1/models\"",
+    "[GIN] 2026/03/02 - 09:00:00 | 500 |  3.1s |  127.0.0.1 | POST     \"/v1/messages\"",
+    "",
+  ].join("\n"), 0o644);
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  const runCli = cliRunner(env);
+
+  // Without usage statistics only the log is available.
+  const fromLog = await runCli(["usage", "--json"]);
+  assert.equal(fromLog.status, 0, fromLog.stderr);
+  assert.match(fromLog.stderr, /usage statistics are not enabled \(install --usage-stats\)/);
+  const logReport = JSON.parse(fromLog.stdout);
+  assert.equal(logReport.source, "log");
+  assert.deepEqual(logReport.rows.map((r) => [r.day, r.requests, r.failed, r.inputTokens]), [["2026-03-01", 1, 0, null], ["2026-03-02", 1, 1, null]]);
+
+  writeFile(path.join(proxyDir, "management-key"), "mgmt-secret\n", 0o600);
+  const table = await runCli(["usage"]);
+  assert.equal(table.status, 0, table.stderr);
+  assert.match(table.stdout, /^usage from the management API$/m);
+  assert.match(table.stdout, /^DAY\s+TIER\s+MODEL\s+REQUESTS\s+FAILED\s+INPUT\s+OUTPUT\s+REASONING$/m);
+  assert.match(table.stdout, /^2026-03-01\s+opus\s+gpt-5\.3-codex\(xhigh\)\s+2\s+0\s+150\s+30\s+5$/m);
+  assert.match(table.stdout, /^2026-03-02\s+haiku\s+gpt-5\.3-codex\(medium\)\s+1\s+0\s+7\s+3\s+2$/m);
+  assert.match(table.stdout, /^TOTAL\s+4\s+1\s+167\s+34\s+8$/m);
+
+  const csv = await runCli(["usage", "--csv", "--since", "2026-03-02"]);
+  assert.equal(csv.status, 0, csv.stderr);
+  assert.deepEqual(csv.stdout.trim().split("\n"), [
+    "day,tier,model,requests,failed,input_tokens,output_tokens,reasoning_tokens",
+    "2026-03-02,haiku,gpt-5.3-codex(medium),1,0,7,3,2",
+    "2026-03-02,opus,gpt-5.3-codex(xhigh),1,1,10,1,1",
+  ]);
+
+  const json = JSON.parse((await runCli(["usage", "--json"])).stdout);
+  assert.equal(json.source, "management");
+  assert.deepEqual(json.totals, { requests: 4, failed: 1, inputTokens: 167, outputTokens: 34, reasoningTokens: 8 });
+
+  assert.equal((await runCli(["usage", "--since", "last week"])).status, 1);
+
+  // A wrong secret falls back to the log with a warning.
+  writeFile(path.join(proxyDir, "management-key"), "wrong\n", 0o600);
+  const fallback = await runCli(["usage", "--json"]);
+  assert.match(fallback.stderr, /could not read the management usage endpoint on port \d+: HTTP 401/);
+  assert.equal(JSON.parse(fallback.stdout).source, "log");
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { mkTmpDir, writeFile, sse, startFakeProxy, sendJson, cliRunner } from "../test-helpers/index.js";
+
+// Answers /v1/messages like CLIProxyAPI does. `brokenStreamModel` gets a stream
+// that never sends message_stop.
+function startFakeMessagesServer({ brokenStreamModel }) {
+  return startFakeProxy({
+    "/v1/messages": (req, res, json) => {
+      const msg = (content, stopReason) => ({
+        id: "msg_1", type: "message", role: "assistant", model: json.model, content, stop_reason: stopReason,
+      });
+      if (json.stream) {
+        res.setHeader("content-type", "text/event-stream");
+        const events = [
+          ["message_start", { message: msg([], null) }],
+          ["ping", {}],
+          ["content_block_start", { index: 0, content_block: { type: "text", text: "" } }],
+          ["content_block_delta", { index: 0, delta: { type: "text_delta", text: "pong" } }],
+          ["content_block_stop", { index: 0 }],
+          ["message_delta", { delta: { stop_reason: "end_turn" } }],
+          ["message_stop", {}],
+        ];
+        res.end(sse(json.model === brokenStreamModel ? events.slice(0, -1) : events));
+        return;
+      }
+      if (json.tool_choice) {
+        sendJson(res, msg([{ type: "tool_use", id: "toolu_1", name: "get_weather", input: { city: "Paris" } }], "tool_use"));
+        return;
+      }
+      const last = json.messages.at(-1).content;
+      const answer = Array.isArray(last) && last[0]?.type === "tool_result" ? "It is 18C and sunny." : "pong";
+      sendJson(res, msg([{ type: "text", text: answer }], "end_turn"));
+    },
+  });
+}
+
+test("verify checks plain, streaming and tool_use messages per tier", async (t) => {
+  const home = mkTmpDir("codex-claudecode-proxy-home-");
+  const server = await startFakeMessagesServer({ brokenStreamModel: "gpt-5.3-codex(medium)" });
+  t.after(() => server.close());
+  writeFile(path.join(home, ".cli-proxy-api", "config.yaml"), `port: ${server.address().port}\n`, 0o644);
+
+  const env = { ...process.env, HOME: home, USER: "testuser", XDG_CONFIG_HOME: path.join(home, ".config") };
+  const runCli = cliRunner(env);
+
+  const r = await runCli(["verify"]);
+  assert.equal(r.status, 1, `stdout:\n${r.stdout}\nstderr:\n${r.stderr}`);
+  assert.match(r.stdout, /TIER\s+MODEL\s+MESSAGE\s+STREAM\s+TOOL_USE\s+EFFORT/);
+  assert.match(r.stdout, /opus\s+gpt-5\.3-codex\(xhigh\)\s+ok \d+ms\s+ok \d+ms\s+ok \d+ms\s+ok \d+ms/);
+  assert.match(r.stdout, /haiku\s+gpt-5\.3-codex\(medium\)\s+ok \d+ms\s+FAIL \d+ms\s+ok/);
+  assert.match(r.stderr, /haiku stream: expected message_stop last, got message_delta/);
+  assert.match(r.stderr, /verification failed for: haiku/);
+
+  const json = await runCli(["verify", "--json"]);
+  assert.equal(json.status, 1);
+  const report = JSON.parse(json.stdout);
+  assert.deepEqual(report.tiers.map((x) => [x.tier, x.ok]), [["opus", true], ["sonnet", true], ["haiku", false]]);
+  assert.equal(report.tiers[0].checks.toolUse.ok, true);
+  assert.equal(typeof report.tiers[0].checks.effort.ms, "number");
+
+  // A stopped proxy is reported as such instead of as per-tier failures.
+  server.close();
+  const down = await runCli(["verify"]);
+  assert.equal(down.status, 1);
+  assert.match(down.stderr, /proxy is not running/);
+});